@@ -0,0 +1,272 @@
+const fs = require("fs");
+const WordleSolver = require("./wordleSolver");
+const { strategies } = require("./strategies");
+
+// Stop a scripted game after this many guesses, in case a strategy keeps
+// making guesses that don't narrow anything down
+const MAX_TURNS = 20;
+
+/**
+ * Count the letters of a feedback string that match a color
+ */
+function countColor(feedback, color) {
+  return feedback.split("").filter((letter) => letter === color).length;
+}
+
+/**
+ * Order feedback buckets from the host's point of view: the most words left
+ * first, then the least revealing feedback (fewest greens, then fewest
+ * yellows), then alphabetically so the choice is always repeatable
+ */
+function compareBuckets([feedbackA, wordsA], [feedbackB, wordsB]) {
+  return (
+    wordsB.length - wordsA.length ||
+    countColor(feedbackA, "G") - countColor(feedbackB, "G") ||
+    countColor(feedbackA, "Y") - countColor(feedbackB, "Y") ||
+    feedbackA.localeCompare(feedbackB)
+  );
+}
+
+/**
+ * An adversarial game host in the style of Absurdle. It never picks an
+ * answer: after each guess it groups the words that are still possible by
+ * the feedback the guess would get, and commits to the largest group. The
+ * game only ends once a single word is left and the player guesses it.
+ */
+class AbsurdleHost {
+  /**
+   * @param {WordleSolver} solver - Solver whose answer list and feedback
+   *   rules the host uses
+   */
+  constructor(solver) {
+    this.solver = solver;
+    this.candidates = solver.wordList;
+    this.history = [];
+  }
+
+  /**
+   * Give feedback for a guess, dodging as many words as possible
+   * @param {string} guess - The guessed word
+   * @returns {string} - Feedback such as "XXYXG"
+   */
+  respond(guess) {
+    const word = this.solver.normalizeWord(guess) || guess.toLowerCase();
+    const buckets = new Map();
+    for (const candidate of this.candidates) {
+      const feedback = this.solver.simulateFeedback(word, candidate);
+      if (!buckets.has(feedback)) {
+        buckets.set(feedback, []);
+      }
+      buckets.get(feedback).push(candidate);
+    }
+
+    const [feedback, words] = [...buckets].sort(compareBuckets)[0];
+    this.candidates = words;
+    this.history.push({ guess: word, feedback, remaining: words.length });
+    return feedback;
+  }
+
+  /**
+   * Check whether the last guess was the only word left
+   */
+  isSolved() {
+    const lastRow = this.history[this.history.length - 1];
+    return Boolean(
+      lastRow && lastRow.feedback === "G".repeat(this.solver.wordLength)
+    );
+  }
+}
+
+/**
+ * Let the solver play against an Absurdle host
+ * @param {WordleSolver} solver - Solver to play with
+ * @param {number} maxTurns - Give up after this many guesses
+ * @returns {Object} - { guesses, history, solved, remaining }, where history
+ *   holds { guess, feedback, remaining } for every turn
+ */
+function playAgainstHost(solver, maxTurns = MAX_TURNS) {
+  const host = new AbsurdleHost(solver);
+
+  while (host.history.length < maxTurns && !host.isSolved()) {
+    const guess = solver.chooseGuess(host.candidates, host.history);
+    host.respond(guess);
+  }
+
+  return {
+    guesses: host.history.length,
+    history: host.history,
+    solved: host.isSolved(),
+    remaining: host.isSolved() ? [] : host.candidates,
+  };
+}
+
+/**
+ * Play every requested strategy against the host
+ * @param {Object} options - Game settings (wordLength, hardMode, answers,
+ *   guesses, frequencies, strategies, maxTurns)
+ * @returns {Object} - { settings, results } with one result per strategy
+ */
+function runAbsurdle(options) {
+  const {
+    wordLength,
+    hardMode = false,
+    answers,
+    guesses,
+    frequencies,
+    maxTurns = MAX_TURNS,
+  } = options;
+  const strategyNames =
+    options.strategies && options.strategies.length > 0
+      ? options.strategies
+      : Object.keys(strategies);
+
+  const results = strategyNames.map((strategy) => {
+    const solver = new WordleSolver(wordLength, {
+      hardMode,
+      answers,
+      guesses,
+      frequencies,
+      strategy,
+    });
+    return {
+      strategy: solver.strategy.name,
+      ...playAgainstHost(solver, maxTurns),
+    };
+  });
+
+  return {
+    settings: {
+      wordLength,
+      hardMode,
+      maxTurns,
+      answers: answers || null,
+      guesses: guesses || null,
+    },
+    results,
+  };
+}
+
+/**
+ * Format Absurdle results as a human-readable report
+ */
+function formatReport({ settings, results }) {
+  const lines = [
+    `Absurdle: ${settings.wordLength}-letter words${
+      settings.hardMode ? " (hard mode)" : ""
+    }`,
+  ];
+
+  results.forEach(({ strategy, guesses, history, solved, remaining }) => {
+    lines.push(
+      "",
+      solved
+        ? `${strategy}: solved in ${guesses} guesses`
+        : `${strategy}: not solved after ${guesses} guesses (${remaining.length} words left)`
+    );
+    history.forEach((row, index) => {
+      lines.push(
+        `  ${index + 1}. ${row.guess.toUpperCase()}  ${row.feedback}  (${
+          row.remaining
+        } word${row.remaining === 1 ? "" : "s"} left)`
+      );
+    });
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+  const options = { wordLength: 5, strategies: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--length":
+        options.wordLength = parseInt(next());
+        break;
+      case "--hard":
+        options.hardMode = true;
+        break;
+      case "--strategy":
+        options.strategies.push(next());
+        break;
+      case "--answers":
+        options.answers = next();
+        break;
+      case "--guesses":
+        options.guesses = next();
+        break;
+      case "--frequencies":
+        options.frequencies = next();
+        break;
+      case "--max-turns":
+        options.maxTurns = parseInt(next());
+        break;
+      case "--output":
+        options.output = next();
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (isNaN(options.wordLength)) {
+    throw new Error("--length must be a number");
+  }
+  if (options.maxTurns !== undefined && !(options.maxTurns > 0)) {
+    throw new Error("--max-turns must be a positive number");
+  }
+
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(
+      "Usage: node absurdle.js [--length 5] [--hard] [--strategy name]... " +
+        "[--answers answers.txt] [--guesses guesses.txt] " +
+        "[--frequencies frequencies.txt] [--max-turns 20] [--output results.json]"
+    );
+    process.exit(1);
+  }
+
+  let results;
+  try {
+    results = runAbsurdle(options);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(formatReport(results));
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(results, null, 2));
+    console.log(`\nResults written to ${options.output}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  AbsurdleHost,
+  playAgainstHost,
+  runAbsurdle,
+  formatReport,
+};
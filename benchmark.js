@@ -0,0 +1,420 @@
+const fs = require("fs");
+const WordleSolver = require("./wordleSolver");
+const { createRandom, sampleWords } = require("./random");
+
+// Games are played past the guess limit (up to this many turns) so the
+// worst cases are still measured
+const MAX_TURNS = 20;
+
+/**
+ * Let the solver play a single game against a known answer, using the
+ * solver's getFeedback as the game host
+ * @param {WordleSolver} solver - Solver to play with
+ * @param {string} answer - The hidden word
+ * @returns {Object} - { answer, guesses, solved }
+ */
+function playGame(solver, answer) {
+  const history = [];
+  let possibleWords = solver.findPossibleWords(history);
+
+  while (history.length < MAX_TURNS && possibleWords.length > 0) {
+    const guess = solver.chooseGuess(possibleWords, history);
+    const feedback = solver.getFeedback(guess, answer);
+    history.push({ guess, feedback });
+
+    if (guess === answer) {
+      return { answer, guesses: history.map((row) => row.guess), solved: true };
+    }
+    possibleWords = solver.findPossibleWords(history);
+  }
+
+  return { answer, guesses: history.map((row) => row.guess), solved: false };
+}
+
+/**
+ * Play the solver against every answer (or a sample) of a word length
+ * @param {Object} options - Benchmark settings
+ * @param {number} options.wordLength - Length of the words to play
+ * @param {number} options.sample - Number of answers to play (all if omitted)
+ * @param {number|string} options.seed - Seed for picking the sample
+ * @param {number} options.maxGuesses - Games needing more guesses count as failures
+ * @param {boolean} options.hardMode - Play in hard mode
+ * @param {Object} options.weight - Overrides for the solver's weights
+ * @param {string} options.answers - Word list file of answers to play against
+ * @param {string} options.guesses - Word list file of accepted guesses
+ * @param {string} options.frequencies - Word-frequency table for the answer prior
+ * @param {string} options.strategy - Name of the scoring strategy
+ * @param {string} options.feedback - Feedback model (tiles, jotto or
+ *   mastermind)
+ * @param {Object} options.lookahead - Lookahead search settings (depth,
+ *   beam, timeBudget, objective; see lookahead.js), or null to play the
+ *   strategy's pick
+ * @param {number} options.worst - Number of worst-case words to report
+ * @param {Function} options.onProgress - Called with (played, total) after each game
+ * @returns {Object} - Settings, summary and per-game results
+ */
+function runBenchmark(options) {
+  const {
+    wordLength,
+    sample = null,
+    seed = null,
+    maxGuesses = 6,
+    hardMode = false,
+    weight = {},
+    worst = 10,
+    answers,
+    guesses,
+    frequencies,
+    strategy,
+    feedback,
+    lookahead = null,
+    onProgress = null,
+  } = options;
+
+  const solver = new WordleSolver(wordLength, {
+    hardMode,
+    answers,
+    guesses,
+    frequencies,
+    strategy,
+    feedback,
+    lookahead: lookahead && { ...lookahead, maxGuesses },
+  });
+  Object.assign(solver.weight, weight);
+
+  const playedAnswers = sample
+    ? sampleWords(solver.wordList, sample, createRandom(seed))
+    : solver.wordList;
+
+  // Load or build the feedback-pattern matrix before timing the games
+  solver.getPatternMatrix().ensureBuilt();
+
+  const startTime = Date.now();
+  const games = playedAnswers.map((answer, index) => {
+    const game = playGame(solver, answer);
+    if (onProgress) onProgress(index + 1, playedAnswers.length);
+    return game;
+  });
+  const durationMs = Date.now() - startTime;
+
+  return {
+    settings: {
+      wordLength,
+      sample,
+      seed,
+      maxGuesses,
+      hardMode,
+      strategy: solver.strategy.name,
+      feedback: solver.feedbackModel.name,
+      lookahead: solver.lookahead,
+      answers: answers || null,
+      guesses: guesses || null,
+      frequencies: frequencies || null,
+      weight: { ...solver.weight },
+    },
+    summary: summarizeGames(games, maxGuesses, worst),
+    durationMs,
+    games,
+  };
+}
+
+/**
+ * Compute statistics for a list of played games
+ */
+function summarizeGames(games, maxGuesses, worst) {
+  const distribution = {};
+  let totalGuesses = 0;
+  let failures = 0;
+
+  games.forEach((game) => {
+    const count = game.solved ? game.guesses.length : "unsolved";
+    distribution[count] = (distribution[count] || 0) + 1;
+    totalGuesses += game.guesses.length;
+    if (!game.solved || game.guesses.length > maxGuesses) {
+      failures++;
+    }
+  });
+
+  const worstGames = [...games]
+    .sort(
+      (a, b) =>
+        Number(a.solved) - Number(b.solved) ||
+        b.guesses.length - a.guesses.length
+    )
+    .slice(0, worst)
+    .map(({ answer, guesses, solved }) => ({ answer, guesses, solved }));
+
+  return {
+    games: games.length,
+    averageGuesses: games.length > 0 ? totalGuesses / games.length : 0,
+    distribution,
+    failures,
+    failureRate: games.length > 0 ? failures / games.length : 0,
+    worst: worstGames,
+  };
+}
+
+/**
+ * Format benchmark results as a human-readable report
+ */
+function formatReport(results) {
+  const { settings, summary, durationMs } = results;
+  const lines = [
+    `Benchmark: ${summary.games} ${settings.wordLength}-letter games${
+      settings.hardMode ? " (hard mode)" : ""
+    }${
+      settings.feedback && settings.feedback !== "tiles"
+        ? ` with ${settings.feedback} feedback`
+        : ""
+    }, ${settings.strategy} strategy${
+      settings.lookahead
+        ? ` with a ${settings.lookahead.depth}-guess lookahead (beam ${settings.lookahead.beam})`
+        : ""
+    }`,
+    `Average guesses: ${summary.averageGuesses.toFixed(3)}`,
+    `Failures (more than ${settings.maxGuesses} guesses): ${
+      summary.failures
+    } (${(summary.failureRate * 100).toFixed(2)}%)`,
+    `Time: ${(durationMs / 1000).toFixed(1)}s (${(
+      durationMs / Math.max(summary.games, 1)
+    ).toFixed(0)}ms per game)`,
+    "",
+    "Guess distribution:",
+  ];
+
+  const maxCount = Math.max(...Object.values(summary.distribution), 1);
+  Object.entries(summary.distribution).forEach(([guesses, count]) => {
+    const bar = "#".repeat(Math.max(1, Math.round((count / maxCount) * 40)));
+    lines.push(`${String(guesses).padStart(8)} | ${bar} ${count}`);
+  });
+
+  lines.push("", "Worst-case words:");
+  summary.worst.forEach(({ answer, guesses, solved }) => {
+    lines.push(
+      `  ${answer}: ${solved ? guesses.length : "unsolved"} (${guesses.join(
+        " > "
+      )})`
+    );
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Compare two benchmark results (e.g. loaded from exported JSON files)
+ * @param {Object} baseline - Results to compare against
+ * @param {Object} current - New results
+ * @returns {string} - Human-readable comparison
+ */
+function formatComparison(baseline, current) {
+  const delta = (a, b, digits) => {
+    const diff = b - a;
+    return `${a.toFixed(digits)} -> ${b.toFixed(digits)} (${
+      diff >= 0 ? "+" : ""
+    }${diff.toFixed(digits)})`;
+  };
+
+  return [
+    "Comparison with baseline:",
+    `Average guesses: ${delta(
+      baseline.summary.averageGuesses,
+      current.summary.averageGuesses,
+      3
+    )}`,
+    `Failures: ${delta(
+      baseline.summary.failures,
+      current.summary.failures,
+      0
+    )}`,
+    `Time (s): ${delta(
+      baseline.durationMs / 1000,
+      current.durationMs / 1000,
+      1
+    )}`,
+  ].join("\n");
+}
+
+/**
+ * Read benchmark results exported with --output, to compare against
+ * @param {string} filePath - Results file
+ * @returns {Object} - The results
+ */
+function readBaseline(filePath) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read baseline ${filePath}: ${error.message}`);
+  }
+  const summary = baseline && baseline.summary;
+  if (
+    !summary ||
+    typeof summary.averageGuesses !== "number" ||
+    typeof summary.failures !== "number" ||
+    typeof baseline.durationMs !== "number"
+  ) {
+    throw new Error(
+      `${filePath} is not a benchmark result (save one with --output)`
+    );
+  }
+  return baseline;
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+  const options = { wordLength: 5, weight: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--length":
+        options.wordLength = parseInt(next());
+        break;
+      case "--sample":
+        options.sample = parseInt(next());
+        break;
+      case "--seed":
+        options.seed = next();
+        break;
+      case "--max-guesses":
+        options.maxGuesses = parseInt(next());
+        break;
+      case "--worst":
+        options.worst = parseInt(next());
+        break;
+      case "--hard":
+        options.hardMode = true;
+        break;
+      case "--weight": {
+        const [key, value] = next().split("=");
+        if (!key || isNaN(parseFloat(value))) {
+          throw new Error("Weights must look like --weight uniqueLetters=12");
+        }
+        options.weight[key] = parseFloat(value);
+        break;
+      }
+      case "--answers":
+        options.answers = next();
+        break;
+      case "--guesses":
+        options.guesses = next();
+        break;
+      case "--frequencies":
+        options.frequencies = next();
+        break;
+      case "--strategy":
+        options.strategy = next();
+        break;
+      case "--feedback":
+        options.feedback = next();
+        break;
+      case "--lookahead":
+        options.lookahead = options.lookahead || {};
+        break;
+      case "--depth":
+        options.lookahead = { ...options.lookahead, depth: parseInt(next()) };
+        break;
+      case "--beam":
+        options.lookahead = { ...options.lookahead, beam: parseInt(next()) };
+        break;
+      case "--objective":
+        options.lookahead = { ...options.lookahead, objective: next() };
+        break;
+      case "--time-budget":
+        options.lookahead = {
+          ...options.lookahead,
+          timeBudget: parseFloat(next()) * 1000,
+        };
+        break;
+      case "--output":
+        options.output = next();
+        break;
+      case "--compare":
+        options.compare = next();
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (isNaN(options.wordLength)) {
+    throw new Error("--length must be a number");
+  }
+  if (options.sample !== undefined && !(options.sample > 0)) {
+    throw new Error("--sample must be a positive number");
+  }
+
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(
+      "Usage: node benchmark.js [--length 5] [--sample 200] [--seed 42] " +
+        "[--max-guesses 6] [--hard] [--weight name=value] [--worst 10] " +
+        "[--answers answers.txt] [--guesses guesses.txt] " +
+        "[--frequencies frequencies.txt] [--strategy name] " +
+        "[--feedback tiles|jotto|mastermind] " +
+        "[--lookahead] [--depth 2] [--beam 10] [--objective guesses|limit] " +
+        "[--time-budget 5] " +
+        "[--output results.json] [--compare baseline.json]"
+    );
+    process.exit(1);
+  }
+
+  // Check the baseline first, rather than after a long run
+  let baseline = null;
+  let results;
+  try {
+    if (options.compare) baseline = readBaseline(options.compare);
+    results = runBenchmark({
+      ...options,
+      onProgress: (played, total) => {
+        if (process.stderr.isTTY) {
+          process.stderr.write(`\rPlayed ${played}/${total}`);
+          if (played === total) process.stderr.write("\n");
+        }
+      },
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(formatReport(results));
+
+  if (baseline) {
+    console.log(`\n${formatComparison(baseline, results)}`);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(results, null, 2));
+    console.log(`\nResults written to ${options.output}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  playGame,
+  runBenchmark,
+  summarizeGames,
+  formatReport,
+  formatComparison,
+  readBaseline,
+};
@@ -1,19 +1,935 @@
+const fs = require("fs");
 const readline = require("readline");
 const WordleSolver = require("./wordleSolver");
+const MultiBoardSolver = require("./multiBoardSolver");
+const WordConstraints = require("./constraints");
+const { strategies, getStrategy } = require("./strategies");
+const { loadDecisionTree, formatTreeStats } = require("./decisionTree");
+const { createRandom, sampleWords } = require("./random");
+const { AbsurdleHost } = require("./absurdle");
+const { parseShareGrid } = require("./shareGrid");
+const { LOCALES, getLocale, normalizeWord } = require("./locales");
+const { describeDiagnosis, limitDiagnosis } = require("./consistency");
+const { DEFAULT_WORKERS } = require("./parallelScoring");
+const { OBJECTIVES, resolveLookahead } = require("./lookahead");
+const { reviewGame, formatReview } = require("./review");
+const { recordGame } = require("./stats");
+const {
+  FEEDBACK_MODELS,
+  getFeedbackModel,
+  describeFeedback,
+} = require("./feedbackModels");
+const {
+  AUTOSAVE_PATH,
+  saveSession,
+  loadSession,
+  clearSession,
+} = require("./session");
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
+// Exit codes for one-shot mode
+const EXIT_OK = 0;
+const EXIT_INVALID_INPUT = 1;
+const EXIT_CONTRADICTION = 2;
+
+// ANSI background colors for feedback tiles
+const TILE_COLORS = { G: "\x1b[42;30m", Y: "\x1b[43;30m", X: "\x1b[100;37m" };
+const COLOR_RESET = "\x1b[0m";
+
+// Guesses allowed per game in play mode, and in solve mode for the game to
+// count as a win unless --max-guesses says otherwise
+const PLAY_MAX_GUESSES = 6;
+const KEYBOARD_ROWS = ["qwertyuiop", "asdfghjkl", "zxcvbnm"];
+// Later states win when a letter has been seen more than once
+const LETTER_STATE_RANK = { X: 1, Y: 2, G: 3 };
+
+const SESSION_COMMANDS = [
+  "l         list all remaining words",
+  "h         show your guesses with their feedback",
+  "u         undo the last guess",
+  "e N       edit the feedback of guess N (e on its own edits the last guess)",
+  "r         reset the game, keeping the word length",
+  "x [word]  explain a guess: the feedback it could get and the words each leaves",
+  "g         paste a share grid (🟩🟨⬛) and type the guess for each row",
+  "s [file]  save the session (to ~/.wordle-solver/session.json by default)",
+  "o [file]  open a saved session",
+  "q         quit",
+];
+
+/**
+ * Format a guess as colored tiles, or as the word followed by its feedback
+ * when the output is not a color terminal or the feedback is letter counts
+ */
+function formatFeedbackRow(guess, feedback) {
+  const colors = feedback.toUpperCase();
+  if (!FEEDBACK_MODELS.tiles.matches(feedback)) {
+    return `${guess.toUpperCase()}  ${describeFeedback(feedback)}`;
+  }
+  if (!process.stdout.isTTY || process.env.NO_COLOR) {
+    return `${guess.toUpperCase()}  ${colors}`;
+  }
+  return Array.from(
+    guess.toUpperCase(),
+    (letter, i) => `${TILE_COLORS[colors[i]]} ${letter} ${COLOR_RESET}`
+  ).join("");
+}
+
+/**
+ * Normalize the feedback typed for a guess, rejecting feedback that no word
+ * could give it. Feedback that lies can show anything and letter counts have
+ * no tiles to check, so for those only the format is checked.
+ * @param {WordleSolver} solver - Solver whose feedback model to use
+ * @returns {string} - Feedback such as "GYXXG", "3" or "2,1"
+ */
+function checkFeedback(solver, guess, feedback) {
+  const normalized = solver.normalizeFeedback(feedback);
+  const problem =
+    solver.lies > 0 || solver.isCountsOnly()
+      ? null
+      : WordConstraints.getFeedbackProblem(guess, normalized);
+  if (problem) {
+    throw new Error(
+      `No word could give ${guess.toUpperCase()} that feedback: ${problem}`
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Describe the tiles of each row most likely to be lies
+ * @param {Array} rows - Result of solver.getLieChances
+ * @param {number} lies - Lies per row
+ * @returns {Array} - One line per row
+ */
+function formatLikeliestLies(rows, lies) {
+  const colorNames = { G: "green", Y: "yellow", X: "grey" };
+  return rows.map(({ guess, feedback, chances }, row) => {
+    const tiles = chances
+      .map((chance, i) => ({ chance, i }))
+      .filter(({ chance }) => chance > 0)
+      .sort((a, b) => b.chance - a.chance || a.i - b.i)
+      .slice(0, lies)
+      .map(
+        ({ chance, i }) =>
+          `${guess[i].toUpperCase()} at ${i + 1} (shown ${
+            colorNames[feedback[i]]
+          }, ${formatChance(chance)})`
+      );
+    return `${row + 1}. ${formatFeedbackRow(guess, feedback)}  ${
+      tiles.length > 0 ? tiles.join(", ") : "no lies"
+    }`;
+  });
+}
+
+/**
+ * Format an on-screen keyboard showing what is known about each letter.
+ * Without colors, green letters are shown as [A], yellow as (A) and grey
+ * letters are hidden.
+ * @param {Array} history - Array of { guess, feedback } objects
+ * @param {string} alphabet - Letters of the game; any that aren't on the
+ *   QWERTY rows (such as Ñ) get a row of their own
+ * @returns {string} - Keyboard, one line per row
+ */
+function formatKeyboard(history, alphabet = KEYBOARD_ROWS.join("")) {
+  const states = new Map();
+  history.forEach(({ guess, feedback }) => {
+    const colors = feedback.toUpperCase();
+    for (let i = 0; i < guess.length; i++) {
+      const current = states.get(guess[i]);
+      if (
+        !current ||
+        LETTER_STATE_RANK[colors[i]] > LETTER_STATE_RANK[current]
+      ) {
+        states.set(guess[i], colors[i]);
+      }
+    }
+  });
+
+  const extraKeys = Array.from(alphabet)
+    .filter((letter) => !KEYBOARD_ROWS.some((row) => row.includes(letter)))
+    .join("");
+  const rows = extraKeys ? [...KEYBOARD_ROWS, extraKeys] : KEYBOARD_ROWS;
+
+  const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+  return rows
+    .map((row, rowIndex) => {
+      const keys = Array.from(row, (letter) => {
+        const state = states.get(letter);
+        const key = letter.toUpperCase();
+        if (useColor) {
+          return state
+            ? `${TILE_COLORS[state]} ${key} ${COLOR_RESET}`
+            : ` ${key} `;
+        }
+        if (state === "G") return `[${key}]`;
+        if (state === "Y") return `(${key})`;
+        return state === "X" ? "   " : ` ${key} `;
+      });
+      return " ".repeat(rowIndex * 2) + keys.join("");
+    })
+    .join("\n");
+}
+
+/**
+ * Format a suggestion's score, plus its chance of being the answer when the
+ * solver has a word-frequency table
+ */
+function formatSuggestion(solver, suggestion) {
+  const score = solver.formatScore(suggestion);
+  return suggestion.probability === undefined
+    ? score
+    : `${score}, ${formatChance(suggestion.probability)} chance`;
+}
+
+/**
+ * Format a lookahead result, e.g. "3.42 guesses expected, 1.2% chance of
+ * needing more than 6"
+ */
+function formatLookahead(solver, { expectedGuesses, failChance }) {
+  return `${expectedGuesses.toFixed(2)} guesses expected, ${formatChance(
+    failChance
+  )} chance of needing more than ${solver.lookahead.maxGuesses}`;
+}
+
+/**
+ * Format a probability as a percentage
+ */
+function formatChance(probability) {
+  return probability > 0 && probability < 0.001
+    ? "<0.1%"
+    : `${(probability * 100).toFixed(1)}%`;
+}
+
+/**
+ * Label words with their estimated chance of being the answer, likeliest
+ * first. Words are returned unchanged without a word-frequency table.
+ * @param {WordleSolver} solver - Solver holding the word prior
+ * @param {Array} words - Possible answers
+ * @returns {Array} - Labels such as "alike (23.1%)"
+ */
+function labelWordChances(solver, words) {
+  if (!solver.hasPriors()) return words;
+  const priors = solver.getPriors(words);
+  return [...words]
+    .sort((a, b) => priors.get(b) - priors.get(a))
+    .map((word) => `${word} (${formatChance(priors.get(word))})`);
+}
+
+// Feedback buckets and words per bucket shown when explaining a guess
+const EXPLAIN_MAX_BUCKETS = 10;
+const EXPLAIN_MAX_WORDS = 6;
+
+/**
+ * Format a guess explanation from WordleSolver.explainGuess
+ * @returns {string} - Multi-line description of the guess
+ */
+function formatExplanation(explanation) {
+  const { word, canBeAnswer, probability, buckets } = explanation;
+  const lines = [
+    `${word.toUpperCase()}: ${
+      canBeAnswer
+        ? `could be the answer (${formatChance(probability)} chance)`
+        : "can't be the answer"
+    }`,
+    `  Entropy: ${explanation.entropy.toFixed(2)} bits`,
+    `  Expected words left: ${explanation.expectedRemaining.toFixed(2)}`,
+    `  Worst case: ${explanation.worstCase} word${
+      explanation.worstCase === 1 ? "" : "s"
+    } left`,
+    `  ${buckets.length} possible feedback pattern${
+      buckets.length === 1 ? "" : "s"
+    }, largest first:`,
+  ];
+
+  buckets.slice(0, EXPLAIN_MAX_BUCKETS).forEach(({ feedback, words }) => {
+    const shown = words.slice(0, EXPLAIN_MAX_WORDS).join(", ");
+    const more =
+      words.length > EXPLAIN_MAX_WORDS
+        ? `, ... (${words.length - EXPLAIN_MAX_WORDS} more)`
+        : "";
+    lines.push(
+      `  ${formatFeedbackRow(word, feedback)}  ${String(words.length).padStart(
+        5
+      )}  ${shown}${more}`
+    );
+  });
+  if (buckets.length > EXPLAIN_MAX_BUCKETS) {
+    const rest = buckets.slice(EXPLAIN_MAX_BUCKETS);
+    const restWords = rest.reduce((sum, { words }) => sum + words.length, 0);
+    lines.push(
+      `  ...and ${rest.length} more pattern(s) covering ${restWords} word(s)`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Print the best guesses found by a lookahead search
+ * @param {WordleSolver} solver - Solver holding the lookahead settings
+ * @param {Object} result - Result of solver.searchGuesses
+ * @param {number} limit - Guesses to list
+ */
+function printLookahead(solver, result, limit) {
+  const { depth } = solver.lookahead;
+  if (result.fallback) {
+    console.log(
+      `\nOut of time before the ${depth}-guess lookahead checked any guess; go with the suggestions above`
+    );
+    return;
+  }
+  console.log(`\nBest guesses from a ${depth}-guess lookahead:`);
+  result.guesses
+    .slice(0, limit)
+    .forEach((guess, index) =>
+      console.log(
+        `${index + 1}. ${guess.word} (${formatLookahead(solver, guess)})`
+      )
+    );
+  if (!result.complete) {
+    console.log(
+      `Out of time after checking ${result.checked} of ${result.beam} candidate guesses`
+    );
+  }
+}
+
+const USAGE = [
+  "Usage: node cli.js [options]",
+  "",
+  "Interactive mode (default):",
+  "  --answers <file>     Word list file of likely answers",
+  "  --guesses <file>     Word list file of accepted guesses",
+  "  --frequencies <file> Word-frequency table (word count per line) for ranking likely answers",
+  `  --locale <code>      Language: picks the dictionary and how accented letters compare (${Object.keys(
+    LOCALES
+  ).join(", ")})`,
+  `  --strategy <name>    Scoring strategy (${Object.keys(strategies).join(
+    ", "
+  )})`,
+  "  --lies <n>           Fibble-style games: exactly n tiles in each feedback row are wrong",
+  `  --feedback <model>   What the game tells you about a guess (${Object.keys(
+    FEEDBACK_MODELS
+  ).join(", ")}; default tiles)`,
+  "  --tree <file>        Walk an exported decision tree",
+  "  --resume [file]      Resume a saved session (default: the one saved on quit)",
+  "  --no-stats           Don't record finished games for the stats command",
+  `  --workers <n>        Threads for scoring guesses (default ${DEFAULT_WORKERS}; 0 scores on the main thread)`,
+  "  --time-budget <s>    Seconds to spend scoring guesses before showing the best found so far",
+  "                       (and, with --lookahead, on the search)",
+  "  --lookahead          Also search several guesses ahead for the guess that finishes soonest",
+  "  --depth <n>          Guesses to search ahead (default 2; implies --lookahead)",
+  "  --beam <k>           Candidate guesses tried per position (default 10; implies --lookahead)",
+  `  --objective <name>   What the search minimizes: ${OBJECTIVES.join(
+    " or "
+  )} (expected guesses,`,
+  "                       or the chance of going past --max-guesses; implies --lookahead)",
+  "  --max-guesses <n>    Guess limit for the search (default 6; implies --lookahead)",
+  "",
+  "Play mode (the CLI picks a secret word for you to guess):",
+  "  --play               Play against the CLI",
+  "  --seed <seed>        Pick the secret words from a repeatable sequence (implies --play)",
+  "  --assist             Start with assist on: show the solver's suggestions each turn",
+  "  --absurdle           No fixed word: the CLI dodges your guesses for as long as it can",
+  "",
+  "One-shot mode (used when --length, --guess or --json is given):",
+  "  --length <n>         Word length to solve",
+  "  --guess <word:fb>    A guess and its g/y/x (or emoji) feedback, e.g. stare:xxyxg (repeatable)",
+  "  --grid <file>        Read feedback rows from a share grid (- for stdin). With --guess word",
+  "                       options, each row pairs with a guess; on its own, lists the hidden",
+  "                       words and guess sequences that fit the grid",
+  "  --hard               Hard mode: reject guesses that break the rules",
+  "  --limit <n>          Number of suggestions of each kind (default 5)",
+  "  --json               Print the result as JSON",
+].join("\n");
+
+/**
+ * Parse command-line flags
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - CLI options
+ */
+function parseArgs(argv) {
+  const options = { guessRows: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--answers":
+        options.answers = next();
+        break;
+      case "--guesses":
+        options.guesses = next();
+        break;
+      case "--frequencies":
+        options.frequencies = next();
+        break;
+      case "--locale":
+        options.locale = getLocale(next()).code;
+        break;
+      case "--strategy":
+        options.strategy = next();
+        break;
+      case "--lies":
+        options.lies = parseInt(next());
+        if (!(options.lies >= 0)) {
+          throw new Error("--lies must be 0 or more");
+        }
+        break;
+      case "--feedback":
+        options.feedback = getFeedbackModel(next()).name;
+        break;
+      case "--tree":
+        options.tree = next();
+        break;
+      case "--resume":
+        // The file is optional: without one, resume the autosaved session
+        options.resume =
+          argv[i + 1] && !argv[i + 1].startsWith("--")
+            ? argv[++i]
+            : AUTOSAVE_PATH;
+        break;
+      case "--no-stats":
+        options.stats = false;
+        break;
+      case "--workers":
+        options.workers = parseInt(next());
+        if (!(options.workers >= 0)) {
+          throw new Error("--workers must be 0 or more");
+        }
+        break;
+      case "--time-budget":
+        options.timeBudget = parseFloat(next()) * 1000;
+        if (!(options.timeBudget > 0)) {
+          throw new Error("--time-budget must be a positive number of seconds");
+        }
+        break;
+      case "--lookahead":
+        options.lookahead = options.lookahead || {};
+        break;
+      case "--depth":
+        options.lookahead = { ...options.lookahead, depth: parseInt(next()) };
+        break;
+      case "--beam":
+        options.lookahead = { ...options.lookahead, beam: parseInt(next()) };
+        break;
+      case "--objective":
+        options.lookahead = { ...options.lookahead, objective: next() };
+        break;
+      case "--max-guesses":
+        options.lookahead = {
+          ...options.lookahead,
+          maxGuesses: parseInt(next()),
+        };
+        break;
+      case "--play":
+        options.play = true;
+        break;
+      case "--seed":
+        options.seed = next();
+        options.play = true;
+        break;
+      case "--assist":
+        options.assist = true;
+        options.play = true;
+        break;
+      case "--absurdle":
+        options.absurdle = true;
+        options.play = true;
+        break;
+      case "--length":
+        options.length = parseInt(next());
+        if (isNaN(options.length)) {
+          throw new Error("--length must be a number");
+        }
+        options.oneShot = true;
+        break;
+      case "--guess": {
+        // The feedback may be left out when it comes from --grid
+        const [guess, feedback = null, ...rest] = next().split(":");
+        if (!guess || feedback === "" || rest.length > 0) {
+          throw new Error(
+            "Guesses must look like word:feedback, e.g. --guess stare:xxyxg"
+          );
+        }
+        options.guessRows.push({ guess, feedback });
+        options.oneShot = true;
+        break;
+      }
+      case "--grid":
+        options.grid = next();
+        options.oneShot = true;
+        break;
+      case "--hard":
+        options.hardMode = true;
+        break;
+      case "--limit":
+        options.limit = parseInt(next());
+        if (!(options.limit > 0)) {
+          throw new Error("--limit must be a positive number");
+        }
+        break;
+      case "--json":
+        options.json = true;
+        options.oneShot = true;
+        break;
+      case "--help":
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.strategy) {
+    getStrategy(options.strategy);
+  }
+  if (options.lies && (options.play || options.tree)) {
+    throw new Error("--lies can't be combined with play mode or --tree");
+  }
+  if (options.lookahead) {
+    if (options.lies || options.play || options.tree) {
+      throw new Error(
+        "--lookahead can't be combined with --lies, play mode or --tree"
+      );
+    }
+    options.lookahead = resolveLookahead({
+      ...options.lookahead,
+      ...(options.timeBudget ? { timeBudget: options.timeBudget } : {}),
+    });
+  }
+  if (options.feedback && options.feedback !== "tiles") {
+    if (options.play || options.tree || options.grid) {
+      throw new Error(
+        "--feedback can't be combined with play mode, --tree or --grid"
+      );
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print a one-shot mode error (as JSON with --json)
+ * @returns {number} - The exit code
+ */
+function reportError(options, exitCode, code, message, details = {}) {
+  if (options.json) {
+    console.log(
+      JSON.stringify({ error: { code, message, ...details } }, null, 2)
+    );
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  return exitCode;
+}
+
+/**
+ * Read pasted share text from a file ("-" reads standard input)
+ */
+function readGrid(filePath) {
+  try {
+    return fs.readFileSync(filePath === "-" ? 0 : filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read grid ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * List the hidden words, and example guess sequences, that fit a share grid
+ * whose guesses are unknown
+ * @param {Object} options - Parsed CLI options
+ * @returns {number} - Process exit code
+ */
+function runGrid(options) {
+  const fail = (exitCode, code, message, details) =>
+    reportError(options, exitCode, code, message, details);
+
+  let rows;
+  let solver;
+  try {
+    const text = readGrid(options.grid);
+    const [firstRow = ""] = parseShareGrid(text);
+    solver = new WordleSolver(options.length || firstRow.length || 5, {
+      answers: options.answers,
+      guesses: options.guesses,
+      frequencies: options.frequencies,
+      locale: options.locale,
+    });
+    rows = solver.parseShareGrid(text);
+  } catch (error) {
+    return fail(EXIT_INVALID_INPUT, "invalid_input", error.message);
+  }
+
+  const priors = solver.getPriors(solver.wordList);
+  const answers = solver
+    .findGridAnswers(rows)
+    .map((answer) => ({
+      ...answer,
+      probability: solver.hasPriors() ? priors.get(answer.word) : undefined,
+    }))
+    .sort((a, b) => (b.probability || 0) - (a.probability || 0));
+  if (answers.length === 0) {
+    return fail(
+      EXIT_CONTRADICTION,
+      "contradiction",
+      "No word in the dictionary fits this grid"
+    );
+  }
+
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        { wordLength: solver.wordLength, rows, count: answers.length, answers },
+        null,
+        2
+      )
+    );
+    return EXIT_OK;
+  }
+
+  const words = labelWordChances(
+    solver,
+    answers.map(({ word }) => word)
+  );
+  const shown = 100;
+  console.log(`Grid rows: ${rows.join(" ")}`);
+  console.log(`Hidden words that fit the grid: ${answers.length}`);
+  console.log(
+    words.slice(0, shown).join(", ") +
+      (words.length > shown ? `, ... and ${words.length - shown} more` : "")
+  );
+
+  console.log("\nExample guess sequences:");
+  answers.slice(0, options.limit || 5).forEach(({ word, counts, examples }) => {
+    console.log(
+      `${word}: ${examples
+        .map((guesses) => guesses[0])
+        .join(" > ")} (${counts.join(", ")} possible guesses per row)`
+    );
+  });
+  return EXIT_OK;
+}
+
+/**
+ * Solve from command-line flags without any prompts and print the result
+ * @param {Object} options - Parsed CLI options
+ * @returns {number} - Process exit code
+ */
+function runOnce(options) {
+  const fail = (exitCode, code, message, details) =>
+    reportError(options, exitCode, code, message, details);
+
+  // Compare guesses the way the locale does (e.g. "Árbol" -> "arbol")
+  let rows = options.guessRows.map(({ guess, feedback }) => ({
+    guess: normalizeWord(guess, options.locale) || guess.toLowerCase(),
+    feedback,
+  }));
+  if (options.grid) {
+    let gridRows;
+    try {
+      gridRows = parseShareGrid(readGrid(options.grid));
+    } catch (error) {
+      return fail(EXIT_INVALID_INPUT, "invalid_input", error.message);
+    }
+    if (rows.some(({ feedback }) => feedback !== null)) {
+      return fail(
+        EXIT_INVALID_INPUT,
+        "invalid_input",
+        "With --grid, give each guess as a plain word (--guess stare)"
+      );
+    }
+    if (rows.length !== gridRows.length) {
+      return fail(
+        EXIT_INVALID_INPUT,
+        "invalid_input",
+        `The grid has ${gridRows.length} row(s) but ${rows.length} guess(es) were given`
+      );
+    }
+    rows = rows.map(({ guess }, index) => ({
+      guess,
+      feedback: gridRows[index],
+    }));
+  }
+
+  const wordLength =
+    options.length || (rows.length > 0 ? rows[0].guess.length : null);
+  if (!wordLength) {
+    return fail(
+      EXIT_INVALID_INPUT,
+      "invalid_input",
+      "Give a word length with --length or at least one --guess"
+    );
+  }
+
+  let solver;
+  const history = [];
+  try {
+    solver = new WordleSolver(wordLength, {
+      answers: options.answers,
+      guesses: options.guesses,
+      frequencies: options.frequencies,
+      locale: options.locale,
+      strategy: options.strategy,
+      hardMode: options.hardMode,
+      lies: options.lies,
+      feedback: options.feedback,
+      lookahead: options.lookahead,
+    });
+
+    rows.forEach(({ guess, feedback }, index) => {
+      const label = `Guess ${index + 1} (${guess})`;
+      if (guess.length !== wordLength || !solver.normalizeWord(guess)) {
+        throw new Error(`${label}: must be a ${wordLength}-letter word`);
+      }
+      if (feedback === null) {
+        throw new Error(`${label}: missing feedback (use word:feedback)`);
+      }
+      let normalized;
+      try {
+        normalized = checkFeedback(solver, guess, feedback);
+      } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+      }
+      if (solver.hardMode) {
+        const violation = solver.getHardModeViolation(guess, history);
+        if (violation) {
+          throw new Error(`${label}: not allowed in hard mode: ${violation}`);
+        }
+      }
+      history.push({ guess, feedback: normalized });
+    });
+  } catch (error) {
+    return fail(EXIT_INVALID_INPUT, "invalid_input", error.message);
+  }
+
+  const possibleWords = solver.findPossibleWords(history);
+  if (possibleWords.length === 0 && solver.lies > 0) {
+    return fail(
+      EXIT_CONTRADICTION,
+      "contradiction",
+      `No word fits with exactly ${solver.lies} wrong tile(s) in every row`
+    );
+  }
+  if (possibleWords.length === 0 && solver.isCountsOnly()) {
+    return fail(
+      EXIT_CONTRADICTION,
+      "contradiction",
+      "No word gets those counts for every guess"
+    );
+  }
+  if (possibleWords.length === 0) {
+    const diagnosis = solver.diagnoseHistory(history);
+    return fail(
+      EXIT_CONTRADICTION,
+      "contradiction",
+      describeDiagnosis(diagnosis),
+      { diagnosis: limitDiagnosis(diagnosis, options.limit || 5) }
+    );
+  }
+
+  const lastRow = history[history.length - 1];
+  const solved = Boolean(lastRow && solver.isSolvedFeedback(lastRow.feedback));
+  const { solutionGuesses, informationGuesses } = solved
+    ? { solutionGuesses: [], informationGuesses: [] }
+    : solver.suggestGuesses(
+        possibleWords,
+        solver.getUsedLetters(history),
+        options.limit || 5,
+        history
+      );
+  const lookahead =
+    solver.lookahead && !solved && possibleWords.length > 2
+      ? solver.searchGuesses(possibleWords, history)
+      : null;
+  const toSuggestion = ({ word, score, metric, probability }) => ({
+    word,
+    score,
+    metric,
+    probability,
+  });
+
+  const result = {
+    wordLength,
+    hardMode: solver.hardMode,
+    strategy: solver.strategy.name,
+    lies: solver.lies,
+    feedback: solver.feedbackModel.name,
+    history,
+    solved,
+    answer: solved
+      ? lastRow.guess
+      : possibleWords.length === 1
+      ? possibleWords[0]
+      : null,
+    remaining: {
+      count: possibleWords.length,
+      words: possibleWords,
+      // Estimated chance of each word being the answer (frequency table only)
+      probabilities: solver.hasPriors()
+        ? Object.fromEntries(solver.getPriors(possibleWords))
+        : undefined,
+    },
+    suggestions: {
+      solution: solutionGuesses.map(toSuggestion),
+      information: informationGuesses.map(toSuggestion),
+    },
+    lookahead: lookahead
+      ? {
+          ...solver.lookahead,
+          guesses: lookahead.guesses.slice(0, options.limit || 5),
+          checked: lookahead.checked,
+          complete: lookahead.complete,
+        }
+      : undefined,
+    // Each tile's chance of being one of the lies, per row
+    lieChances:
+      solver.lies > 0
+        ? solver
+            .getLieChances(history, possibleWords)
+            .map(({ chances }) => chances)
+        : undefined,
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return EXIT_OK;
+  }
+
+  if (solver.lies > 0 && history.length > 0) {
+    console.log("Likeliest lies:");
+    formatLikeliestLies(
+      solver.getLieChances(history, possibleWords),
+      solver.lies
+    ).forEach((line) => console.log(`  ${line}`));
+    console.log();
+  }
+  console.log(`Possible words remaining: ${possibleWords.length}`);
+  if (possibleWords.length <= 10) {
+    console.log(
+      `All possible words: ${labelWordChances(solver, possibleWords).join(
+        ", "
+      )}`
+    );
+  }
+  if (result.answer) {
+    console.log(`The word must be: ${result.answer}`);
+  }
+  if (solutionGuesses.length > 0) {
+    console.log("\nTop solution guesses (words that could be the answer):");
+    solutionGuesses.forEach((suggestion, index) =>
+      console.log(
+        `${index + 1}. ${suggestion.word} (${formatSuggestion(
+          solver,
+          suggestion
+        )})`
+      )
+    );
+  }
+  if (informationGuesses.length > 0) {
+    console.log(
+      "\nInformation gathering guesses (to eliminate more possibilities):"
+    );
+    informationGuesses.forEach((suggestion, index) =>
+      console.log(
+        `${index + 1}. ${suggestion.word} (${formatSuggestion(
+          solver,
+          suggestion
+        )})`
+      )
+    );
+  }
+  if (lookahead) {
+    printLookahead(solver, lookahead, options.limit || 5);
+  }
+  return EXIT_OK;
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  // Scripts asking for JSON get it even when the arguments are wrong
+  if (process.argv.includes("--json")) {
+    reportError(
+      { json: true },
+      EXIT_INVALID_INPUT,
+      "invalid_input",
+      error.message
+    );
+  } else {
+    console.error(`Error: ${error.message}`);
+    console.error(USAGE);
+  }
+  process.exit(EXIT_INVALID_INPUT);
+}
+
+// Created only for interactive mode, so one-shot runs exit on their own
+let rl = null;
 
 class WordleCLI {
-  constructor() {
+  /**
+   * @param {Object} options - CLI options
+   * @param {string} options.answers - Word list file of likely answers
+   * @param {string} options.guesses - Word list file of accepted guesses
+   * @param {string} options.frequencies - Word-frequency table file
+   * @param {string} options.locale - Locale code of the dictionary
+   * @param {string} options.strategy - Name of the scoring strategy
+   * @param {string} options.tree - Decision tree file to walk instead of
+   *   running the solver live
+   * @param {boolean} options.play - Host games for the user instead of
+   *   solving outside puzzles
+   * @param {string} options.seed - Seed for picking secret words
+   * @param {boolean} options.assist - Show suggestions while playing
+   * @param {boolean} options.absurdle - Play against an adversarial host
+   *   instead of a secret word
+   * @param {string} options.resume - Saved session file to resume
+   * @param {number} options.lies - Wrong tiles in each feedback row, for
+   *   Fibble-style games
+   * @param {string} options.feedback - Feedback model: "tiles", or
+   *   "jotto" / "mastermind" for games that only give letter counts
+   * @param {number} options.workers - Threads for scoring guesses
+   * @param {number} options.timeBudget - Milliseconds to spend scoring
+   *   guesses before showing the best found so far
+   * @param {Object} options.lookahead - Lookahead search settings (see
+   *   lookahead.js), or null to show only the strategy's suggestions
+   * @param {boolean} options.stats - Record finished games (default true)
+   */
+  constructor(options = {}) {
+    this.dictionary = {
+      answers: options.answers,
+      guesses: options.guesses,
+      frequencies: options.frequencies,
+      locale: options.locale,
+    };
+    this.strategy = options.strategy;
+    this.treeFile = options.tree;
+    this.playMode = Boolean(options.play);
+    this.assist = Boolean(options.assist);
+    this.seed = options.seed;
+    this.random = createRandom(options.seed);
+    this.absurdle = Boolean(options.absurdle);
+    this.resumeFile = options.resume;
+    this.lies = options.lies || 0;
+    this.feedback = options.feedback;
+    this.workers = options.workers;
+    this.timeBudget = options.timeBudget;
+    this.lookahead = options.lookahead || null;
+    this.recordStats = options.stats !== false;
+    this.resumeOffered = false;
+    this.resumeDeclined = false;
+    // Ranking of the last position shown (see getNextGuess)
+    this.ranking = null;
+    this.gameOver = false;
+    this.secretWord = null;
+    this.host = null;
     this.solver = null;
+    this.multiSolver = null;
     this.wordLength = null;
-    this.greenLetters = {};
-    this.yellowLetters = {};
-    this.greyLetters = [];
-    this.usedLetters = new Set();
+    this.history = [];
     this.currentPossibleWords = [];
   }
 
@@ -21,12 +937,27 @@ class WordleCLI {
     console.log("\nWelcome to Wordle Solver!");
     console.log("------------------------");
 
+    if (this.treeFile) {
+      await this.startTreeWalk();
+      return;
+    }
+
+    if (!this.resumeOffered) {
+      this.resumeOffered = true;
+      if (await this.offerResume()) {
+        await this.continueGame();
+        return;
+      }
+    }
+
     // Get available word lengths
-    const availableLengths = WordleSolver.getAvailableWordLengths();
+    const availableLengths = WordleSolver.getAvailableWordLengths(
+      this.dictionary
+    );
     console.log("\nAvailable word lengths:", availableLengths.join(", "));
 
     // Ask for word length
-    while (!this.solver) {
+    while (!this.solver && !this.multiSolver) {
       const lengthInput = await this.question(
         "Enter the length of words to solve (e.g., 4 or 5): "
       );
@@ -39,48 +970,707 @@ class WordleCLI {
         continue;
       }
 
+      // Lies and letter counts are only supported on a single board
+      const tilesOnly =
+        this.lies === 0 && getFeedbackModel(this.feedback).name === "tiles";
+      const boardCount =
+        this.playMode || !tilesOnly ? 1 : await this.askBoardCount();
+
+      // Hard mode rules need hints that can be trusted, tile by tile
+      const hardMode =
+        tilesOnly &&
+        (
+          await this.question(
+            "Play in hard mode? Revealed hints must be used in later guesses (y/n): "
+          )
+        ).toLowerCase() === "y";
+
+      if (boardCount > 1) {
+        try {
+          this.multiSolver = new MultiBoardSolver(length, boardCount, {
+            ...this.dictionary,
+            hardMode,
+          });
+          this.wordLength = length;
+          this.preparePatterns(this.multiSolver.solver);
+          console.log(
+            `\nInitialized solver for ${boardCount} boards of ${length}-letter words${
+              hardMode ? " (hard mode)" : ""
+            }`
+          );
+        } catch (error) {
+          console.log(`Error: ${error.message}`);
+        }
+        continue;
+      }
+
       try {
-        this.solver = new WordleSolver(length);
+        this.solver = new WordleSolver(length, {
+          ...this.dictionary,
+          hardMode,
+          strategy: this.strategy,
+          lies: this.lies,
+          feedback: this.feedback,
+          lookahead: this.lookahead,
+        });
         this.wordLength = length;
-        console.log(`\nInitialized solver for ${length}-letter words`);
+        this.preparePatterns(this.solver);
+        console.log(
+          `\nInitialized solver for ${length}-letter words${
+            hardMode ? " (hard mode)" : ""
+          }${this.lies > 0 ? ` with ${this.lies} lie(s) per row` : ""}${
+            this.solver.isCountsOnly()
+              ? ` with ${this.solver.feedbackModel.name} feedback`
+              : ""
+          } using the ${this.solver.strategy.name} strategy`
+        );
       } catch (error) {
         console.log(`Error: ${error.message}`);
       }
     }
 
-    await this.getNextGuess();
+    await this.continueGame();
   }
 
-  async getNextGuess() {
-    // Show current state
+  /**
+   * Carry on with the current game from wherever it stands
+   */
+  async continueGame() {
+    if (this.playMode) {
+      await (this.secretWord || this.host ? this.playTurn() : this.startPlay());
+    } else if (this.multiSolver) {
+      await this.getNextMultiGuess();
+    } else {
+      await this.getNextGuess();
+    }
+  }
+
+  /**
+   * Load the session named by --resume, or offer to pick up the session
+   * saved when the CLI last quit
+   * @returns {boolean} - True if a session was loaded
+   */
+  async offerResume() {
+    if (this.resumeFile) {
+      return this.openSession(this.resumeFile);
+    }
+    if (!fs.existsSync(AUTOSAVE_PATH)) {
+      return false;
+    }
+
+    let state;
+    try {
+      state = loadSession(AUTOSAVE_PATH);
+    } catch (error) {
+      return false;
+    }
+    const turns =
+      state.mode === "multi"
+        ? Math.max(0, ...state.boards.map((board) => board.length))
+        : state.history.length;
+    const answer = await this.question(
+      `\nResume your unfinished ${state.wordLength}-letter ${
+        state.mode
+      } game from ${new Date(state.savedAt).toLocaleString()} (${turns} guess${
+        turns === 1 ? "" : "es"
+      })? (y/n): `
+    );
+    if (answer.toLowerCase() !== "y") {
+      this.resumeDeclined = true;
+      // The saved game won't be finished now
+      if (turns > 0 && this.recordStats) {
+        this.recordFinishedGame(false, state.secretWord || null, state);
+      }
+      return false;
+    }
+    return this.openSession(AUTOSAVE_PATH);
+  }
+
+  /**
+   * Describe the game in progress so it can be saved
+   * @returns {Object|null} - Session state, or null outside a game
+   */
+  getSessionState() {
+    const solver = this.multiSolver ? this.multiSolver.solver : this.solver;
+    if (!solver) return null;
+
+    let mode = "solve";
+    if (this.multiSolver) mode = "multi";
+    else if (this.playMode) mode = this.absurdle ? "absurdle" : "play";
+
+    const state = {
+      wordLength: this.wordLength,
+      dictionary: this.dictionary,
+      mode,
+      hardMode: solver.hardMode,
+      strategy: solver.strategy.name,
+      lies: solver.lies,
+      feedback: solver.feedbackModel.name,
+    };
+    if (this.multiSolver) {
+      state.boards = this.multiSolver.boards.map(({ history }) => history);
+    } else {
+      state.history = this.history;
+    }
+    if (mode === "play") {
+      state.secretWord = this.secretWord;
+      state.seed = this.seed === undefined ? null : this.seed;
+    }
+    return state;
+  }
+
+  /**
+   * Replace the current game with a saved one. Nothing changes if the
+   * session can't be restored.
+   * @param {Object} state - Session state from loadSession
+   */
+  restoreSession(state) {
+    const { wordLength, dictionary, mode, hardMode, strategy } = state;
+    const lies = state.lies || 0;
+    const feedback = state.feedback || "tiles";
+    const options = {
+      ...dictionary,
+      hardMode,
+      strategy,
+      lies,
+      feedback,
+      // The search assumes honest feedback
+      lookahead: lies > 0 ? null : this.lookahead,
+    };
+    let solver;
+    let multiSolver = null;
+    let history = [];
+    let host = null;
+    let secretWord = null;
+
+    if (mode === "multi") {
+      multiSolver = new MultiBoardSolver(
+        wordLength,
+        state.boards.length,
+        options
+      );
+      solver = multiSolver.solver;
+      const turns = Math.max(0, ...state.boards.map((board) => board.length));
+      for (let turn = 0; turn < turns; turn++) {
+        const { guess } = state.boards.find((board) => board[turn])[turn];
+        multiSolver.addGuess(
+          guess,
+          state.boards.map((board) =>
+            board[turn] ? board[turn].feedback : null
+          )
+        );
+      }
+    } else {
+      solver = new WordleSolver(wordLength, options);
+      history = state.history.map(({ guess, feedback }) => {
+        const word = solver.normalizeWord(String(guess));
+        if (!word || word.length !== wordLength) {
+          throw new Error(
+            `Saved guess "${guess}" is not ${wordLength} letters`
+          );
+        }
+        return {
+          guess: word,
+          feedback: solver.normalizeFeedback(feedback),
+        };
+      });
+
+      if (mode === "absurdle") {
+        // The host's choices are repeatable, so replaying the guesses puts
+        // it back in the same place
+        host = new AbsurdleHost(solver);
+        history.forEach(({ guess }) => host.respond(guess));
+        history = host.history.map(({ guess, feedback }) => ({
+          guess,
+          feedback,
+        }));
+      } else if (mode === "play") {
+        if (!solver.wordList.includes(state.secretWord)) {
+          throw new Error("The saved secret word is not in the answer list");
+        }
+        secretWord = state.secretWord;
+      }
+    }
+
+    this.dictionary = dictionary;
+    this.strategy = strategy;
+    this.lies = lies;
+    this.feedback = feedback;
+    this.playMode = mode === "play" || mode === "absurdle";
+    this.absurdle = mode === "absurdle";
+    this.solver = multiSolver ? null : solver;
+    this.multiSolver = multiSolver;
+    this.host = host;
+    this.secretWord = secretWord;
+    this.wordLength = wordLength;
+    this.history = history;
+    this.currentPossibleWords = [];
+    this.gameOver = false;
+    this.preparePatterns(solver);
+  }
+
+  /**
+   * Save the game in progress to a file
+   * @returns {boolean} - True if it was saved
+   */
+  saveSessionFile(filePath) {
+    const state = this.getSessionState();
+    if (!state) {
+      console.log("\nThere is no game to save yet");
+      return false;
+    }
+    try {
+      saveSession(filePath, state);
+      console.log(`\nSession saved to ${filePath}`);
+      return true;
+    } catch (error) {
+      console.log(`\nError: Could not save ${filePath}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Load a saved session file, replacing the current game
+   * @returns {boolean} - True if it was loaded
+   */
+  openSession(filePath) {
+    try {
+      this.restoreSession(loadSession(filePath));
+    } catch (error) {
+      console.log(`\nError: ${error.message}`);
+      return false;
+    }
+    const turns = this.multiSolver
+      ? this.multiSolver.guesses.length
+      : this.history.length;
+    console.log(
+      `\nResumed a ${this.wordLength}-letter game with ${turns} guess${
+        turns === 1 ? "" : "es"
+      } from ${filePath}`
+    );
+    return true;
+  }
+
+  /**
+   * Run the save ("s [file]") and open ("o [file]") commands
+   * @param {string} input - User input, with the file name's case kept
+   * @returns {string|null} - "loaded" if another game was opened, "handled"
+   *   for any other save or open command, or null for other input
+   */
+  runFileCommand(input) {
+    const match = input.trim().match(/^([so])(?:\s+(.+))?$/i);
+    if (!match) return null;
+
+    const filePath = match[2] || AUTOSAVE_PATH;
+    if (match[1].toLowerCase() === "s") {
+      this.saveSessionFile(filePath);
+      return "handled";
+    }
+    return this.openSession(filePath) ? "loaded" : "handled";
+  }
+
+  /**
+   * Save an unfinished game when the CLI quits, so the next run can offer
+   * to pick it up
+   */
+  autosave() {
+    if (this.gameOver) return;
+    const state = this.getSessionState();
+    const rows = state ? state.history || state.boards.flat() : [];
+    if (rows.length === 0) {
+      // Don't leave an older game to be offered next time, unless the CLI
+      // quit before the player could say whether to resume it
+      if (state || this.resumeDeclined) clearSession(AUTOSAVE_PATH);
+      return;
+    }
+
+    try {
+      saveSession(AUTOSAVE_PATH, state);
+      console.log(
+        "\nYour game was saved. Start the CLI again (or use --resume) to continue."
+      );
+    } catch (error) {
+      console.log(`\nError: Could not save your game: ${error.message}`);
+    }
+  }
+
+  async startTreeWalk() {
+    let tree;
+    try {
+      tree = loadDecisionTree(this.treeFile);
+    } catch (error) {
+      console.log(`\nError: ${error.message}`);
+      rl.close();
+      return;
+    }
+
+    console.log(`\n${formatTreeStats(tree)}`);
+    this.wordLength = tree.settings.wordLength;
+    await this.walkTree(tree.root, 1);
+  }
+
+  async walkTree(node, turn) {
+    if (node.unsolved) {
+      console.log(
+        `\nThe playbook ends here. Words still possible: ${node.unsolved.join(
+          ", "
+        )}`
+      );
+      await this.askToContinue();
+      return;
+    }
+
+    console.log(
+      `\nGuess ${turn}: ${node.guess.toUpperCase()} (${
+        node.remaining
+      } possible word${node.remaining === 1 ? "" : "s"})`
+    );
+    const input = await this.question(
+      'Enter feedback as g/y/x (or "q" to quit): '
+    );
+
+    if (input.toLowerCase() === "q") {
+      rl.close();
+      return;
+    }
+
+    let feedback;
+    try {
+      feedback = WordConstraints.normalizeFeedback(input, this.wordLength);
+    } catch (error) {
+      console.log("\nError:", error.message);
+      await this.walkTree(node, turn);
+      return;
+    }
+
+    if (feedback === "G".repeat(this.wordLength)) {
+      console.log(
+        `\nCongratulations! Solved in ${turn} guess${turn === 1 ? "" : "es"}`
+      );
+      await this.askToContinue();
+      return;
+    }
+
+    const child = node.children[feedback];
+    if (!child) {
+      console.log(
+        `\nNo possible word gives that feedback for ${node.guess.toUpperCase()}. Please check your input.`
+      );
+      await this.walkTree(node, turn);
+      return;
+    }
+
+    await this.walkTree(child, turn + 1);
+  }
+
+  async startPlay() {
+    if (this.absurdle) {
+      this.host = new AbsurdleHost(this.solver);
+      console.log(
+        `\nAbsurdle: there is no secret word. I'll dodge your guesses among ${this.solver.wordList.length} ${this.wordLength}-letter words for as long as I can, with no limit on guesses.`
+      );
+      await this.playTurn();
+      return;
+    }
+
+    [this.secretWord] = sampleWords(this.solver.wordList, 1, this.random);
+    console.log(
+      `\nI'm thinking of a ${this.wordLength}-letter word${
+        this.seed !== undefined ? ` (seed ${this.seed})` : ""
+      }. You have ${PLAY_MAX_GUESSES} guesses.`
+    );
+    await this.playTurn();
+  }
+
+  async playTurn() {
+    if (this.history.length > 0) {
+      console.log("");
+      this.history.forEach(({ guess, feedback }) =>
+        console.log(formatFeedbackRow(guess, feedback))
+      );
+      console.log(
+        `\n${formatKeyboard(this.history, this.solver.locale.alphabet)}`
+      );
+    }
+
+    const lastRow = this.history[this.history.length - 1];
+    if (lastRow && lastRow.feedback === "G".repeat(this.wordLength)) {
+      console.log(
+        this.host
+          ? `\nYou cornered me in ${this.history.length} guesses!`
+          : `\nYou got it in ${this.history.length}/${PLAY_MAX_GUESSES}!`
+      );
+      await this.askToContinue({ solved: true, solution: lastRow.guess });
+      return;
+    }
+    if (!this.host && this.history.length >= PLAY_MAX_GUESSES) {
+      console.log(
+        `\nOut of guesses. The word was ${this.secretWord.toUpperCase()}`
+      );
+      await this.askToContinue({ solved: false, solution: this.secretWord });
+      return;
+    }
+
+    if (this.assist) {
+      this.printAssist();
+    }
+
+    const input = await this.question(
+      `\nGuess ${this.history.length + 1}${
+        this.host ? "" : `/${PLAY_MAX_GUESSES}`
+      } (or "a" to turn assist ${this.assist ? "off" : "on"}, "q" to quit): `
+    );
+    const guess = input.trim().toLowerCase();
+
+    if (guess === "q") {
+      console.log(
+        this.host
+          ? `\n${
+              this.host.candidates.length
+            } word(s) were still possible, such as ${this.host.candidates
+              .slice(0, 5)
+              .join(", ")}`
+          : `\nThe word was ${this.secretWord.toUpperCase()}`
+      );
+      // Once the word is revealed there is nothing left to resume, so the
+      // game is lost
+      if (!this.host) {
+        this.gameOver = true;
+        if (this.history.length > 0 && this.recordStats) {
+          this.recordFinishedGame(false, this.secretWord);
+        }
+      }
+      rl.close();
+      return;
+    }
+
+    const fileCommand = this.runFileCommand(input);
+    if (fileCommand) {
+      await (fileCommand === "loaded" ? this.continueGame() : this.playTurn());
+      return;
+    }
+
+    if (guess === "a") {
+      this.assist = !this.assist;
+      console.log(`\nAssist is ${this.assist ? "on" : "off"}`);
+      await this.playTurn();
+      return;
+    }
+
+    const word = this.solver.normalizeWord(input);
+    if (!word || word.length !== this.wordLength) {
+      console.log(`\nError: Please enter a ${this.wordLength}-letter word`);
+      await this.playTurn();
+      return;
+    }
+
+    if (!this.solver.guessSet.has(word)) {
+      console.log(`\nError: "${word}" is not in the word list`);
+      await this.playTurn();
+      return;
+    }
+
+    if (this.solver.hardMode) {
+      const violation = this.solver.getHardModeViolation(word, this.history);
+      if (violation) {
+        console.log(`\nNot allowed in hard mode: ${violation}`);
+        await this.playTurn();
+        return;
+      }
+    }
+
+    this.history.push({
+      guess: word,
+      feedback: this.host
+        ? this.host.respond(word)
+        : this.solver.simulateFeedback(word, this.secretWord),
+    });
+    await this.playTurn();
+  }
+
+  /**
+   * Show what the solver would play from the current position
+   */
+  printAssist() {
+    const possibleWords = this.solver.findPossibleWords(this.history);
+    const { solutionGuesses, informationGuesses } = this.solver.suggestGuesses(
+      possibleWords,
+      this.solver.getUsedLetters(this.history),
+      3,
+      this.history
+    );
+    const format = (suggestions) =>
+      suggestions
+        .map(
+          (suggestion) =>
+            `${suggestion.word} (${formatSuggestion(this.solver, suggestion)})`
+        )
+        .join(", ") || "none";
+
+    console.log(
+      `\nAssist: ${possibleWords.length} possible word${
+        possibleWords.length === 1 ? "" : "s"
+      }. The solver would play ${this.solver
+        .chooseGuess(possibleWords, this.history)
+        .toUpperCase()}`
+    );
+    console.log(`  Could be the answer: ${format(solutionGuesses)}`);
+    console.log(`  To gather information: ${format(informationGuesses)}`);
+  }
+
+  /**
+   * Rank the next guesses in worker threads, with a progress line showing
+   * the best guess so far while the candidates are scored
+   * @returns {Promise<Object>} - Result of suggestGuessesParallel
+   */
+  async scoreSuggestions() {
+    const showProgress = Boolean(process.stdout.isTTY);
+    let leader = null;
+    let shown = false;
+
+    const result = await this.solver.suggestGuessesParallel(
+      this.currentPossibleWords,
+      this.solver.getUsedLetters(this.history),
+      5,
+      this.history,
+      {
+        workers: this.workers,
+        timeBudget: this.timeBudget,
+        onUpdate: ({ solutionGuesses, informationGuesses }) => {
+          const best = informationGuesses[0] || solutionGuesses[0];
+          leader = best ? best.word.toUpperCase() : null;
+        },
+        onProgress: (scored, total) => {
+          if (!showProgress || scored === total) return;
+          readline.clearLine(process.stdout, 0);
+          readline.cursorTo(process.stdout, 0);
+          process.stdout.write(
+            `Scoring guesses... ${Math.floor((scored / total) * 100)}%${
+              leader ? ` (best so far: ${leader})` : ""
+            }`
+          );
+          shown = true;
+        },
+      }
+    );
+
+    if (shown) {
+      readline.clearLine(process.stdout, 0);
+      readline.cursorTo(process.stdout, 0);
+    }
+    if (!result.complete) {
+      console.log(
+        `\nOut of time after scoring ${result.scored} of ${result.total} candidate guesses; showing the best found so far`
+      );
+    }
+    return result;
+  }
+
+  preparePatterns(solver) {
+    const matrix = solver.getPatternMatrix();
+    if (!matrix.isSupported()) {
+      console.log(
+        "\nThis dictionary is too big to precompute every feedback pattern, so patterns are worked out as they are needed (and not cached on disk)"
+      );
+    } else if (!matrix.isCached()) {
+      console.log(
+        "\nPrecomputing feedback patterns for this dictionary (only needed once)..."
+      );
+    }
+    matrix.ensureBuilt();
+  }
+
+  async askBoardCount() {
+    while (true) {
+      const input = await this.question(
+        "Number of boards (1 = Wordle, 2 = Dordle, 4 = Quordle, 8 = Octordle): "
+      );
+      const boardCount = input.trim() === "" ? 1 : parseInt(input);
+      if (Number.isInteger(boardCount) && boardCount >= 1 && boardCount <= 32) {
+        return boardCount;
+      }
+      console.log("Invalid board count. Please enter a number from 1 to 32");
+    }
+  }
+
+  /**
+   * Show what the feedback so far says about each letter
+   */
+  printConstraints() {
+    const constraints = this.solver.getConstraints(this.history);
     console.log("\nCurrent state:");
-    console.log("Green letters (correct position):", this.formatGreenLetters());
-    console.log("Yellow letters (wrong position):", this.formatYellowLetters());
+    console.log(
+      "Green letters (correct position):",
+      this.formatGreenLetters(constraints)
+    );
+    console.log(
+      "Yellow letters (wrong position):",
+      this.formatYellowLetters(constraints)
+    );
     console.log(
       "Grey letters (not in word):",
-      this.greyLetters.join(", ") || "none"
+      constraints.getAbsentLetters().join(", ") || "none"
     );
+    console.log("Letter counts:", this.formatLetterCounts(constraints));
+  }
 
-    // Get possible words based on current state
-    this.currentPossibleWords = this.solver.findPossibleWords(
-      this.greenLetters,
-      this.yellowLetters,
-      this.greyLetters
-    );
+  /**
+   * Show the tiles of each row most likely to be lies
+   */
+  printLikeliestLies() {
+    if (this.history.length === 0) return;
+    console.log("\nLikeliest lies:");
+    formatLikeliestLies(
+      this.solver.getLieChances(this.history, this.currentPossibleWords),
+      this.solver.lies
+    ).forEach((line) => console.log(`  ${line}`));
+  }
+
+  async getNextGuess() {
+    // Commands such as "h" or "l" redisplay the same position, so its
+    // ranking is only worked out again once the guesses change
+    const key = JSON.stringify(this.history);
+    const cached =
+      this.ranking &&
+      this.ranking.solver === this.solver &&
+      this.ranking.key === key;
+    if (!cached) {
+      this.ranking = { solver: this.solver, key, suggestions: null };
+    }
+    const ranking = this.ranking;
+
+    // Get possible words based on the full guess history
+    this.currentPossibleWords = cached
+      ? ranking.possibleWords
+      : this.solver.findPossibleWords(this.history);
+    ranking.possibleWords = this.currentPossibleWords;
+
+    // Show current state. Letter constraints can't be read off feedback that
+    // lies, so show where the lies probably are instead.
+    if (this.solver.lies > 0) {
+      this.printLikeliestLies();
+    } else if (this.solver.isCountsOnly()) {
+      this.printHistory();
+    } else {
+      this.printConstraints();
+    }
 
     console.log(
       "\nPossible words remaining:",
       this.currentPossibleWords.length
     );
     if (this.currentPossibleWords.length <= 10) {
-      console.log("All possible words:", this.currentPossibleWords.join(", "));
+      console.log(
+        "All possible words:",
+        labelWordChances(this.solver, this.currentPossibleWords).join(", ")
+      );
     }
 
     // Get suggestions
-    const { solutionGuesses, informationGuesses } = this.solver.suggestGuesses(
-      this.currentPossibleWords,
-      Array.from(this.usedLetters)
-    );
+    if (!ranking.suggestions) {
+      ranking.suggestions = await this.scoreSuggestions();
+    }
+    const { solutionGuesses, informationGuesses } = ranking.suggestions;
 
     if (solutionGuesses.length === 0) {
       console.log("\nNo possible words remain");
@@ -89,8 +1679,9 @@ class WordleCLI {
       console.log("\nTop solution guesses (words that could be the answer):");
       solutionGuesses.forEach((suggestion, index) => {
         console.log(
-          `${index + 1}. ${suggestion.word} (score: ${suggestion.score.toFixed(
-            1
+          `${index + 1}. ${suggestion.word} (${formatSuggestion(
+            this.solver,
+            suggestion
           )})`
         );
       });
@@ -102,20 +1693,35 @@ class WordleCLI {
         );
         informationGuesses.forEach((suggestion, index) => {
           console.log(
-            `${index + 1}. ${
-              suggestion.word
-            } (score: ${suggestion.score.toFixed(1)})`
+            `${index + 1}. ${suggestion.word} (${formatSuggestion(
+              this.solver,
+              suggestion
+            )})`
           );
         });
       }
+
+      if (this.solver.lookahead && this.currentPossibleWords.length > 2) {
+        if (!ranking.lookahead) {
+          console.log(
+            `\nRunning a ${this.solver.lookahead.depth}-guess lookahead...`
+          );
+          ranking.lookahead = this.solver.searchGuesses(
+            this.currentPossibleWords,
+            this.history
+          );
+        }
+        printLookahead(this.solver, ranking.lookahead, 5);
+      }
     }
 
-    if (this.currentPossibleWords.length === 0) {
+    const noMatches = this.currentPossibleWords.length === 0;
+    if (noMatches) {
+      console.log("\nNo words match the current criteria.");
+      this.printDiagnosis();
       console.log(
-        "\nNo words match the current criteria. Please check your inputs."
+        'Enter "h" to review your guesses, then "u" to undo or "e N" to fix the feedback of guess N.'
       );
-      await this.askToContinue();
-      return;
     }
 
     if (this.currentPossibleWords.length === 1) {
@@ -123,16 +1729,19 @@ class WordleCLI {
         "\nCongratulations! The word must be:",
         this.currentPossibleWords[0]
       );
-      await this.askToContinue();
+      await this.askToContinue({
+        solved: true,
+        solution: this.currentPossibleWords[0],
+      });
       return;
     }
 
     // Ask for the actual guess used
     const input = await this.question(
-      '\nEnter your guess (or "q" to quit, "l" to list all remaining words): '
+      '\nEnter your guess (or "q" to quit, "l" to list all remaining words, "?" for more commands): '
     );
 
-    const command = input.toLowerCase();
+    const command = input.trim().toLowerCase();
     if (command === "q") {
       rl.close();
       return;
@@ -140,27 +1749,62 @@ class WordleCLI {
 
     if (command === "l") {
       console.log("\nAll remaining possible words:");
-      // Print words in columns for better readability
-      const columns = 5;
-      for (let i = 0; i < this.currentPossibleWords.length; i += columns) {
-        const row = this.currentPossibleWords
-          .slice(i, i + columns)
-          .map((word) => word.padEnd(12)) // Pad each word to align columns
-          .join("");
-        console.log(row);
-      }
+      this.printWordColumns(
+        labelWordChances(this.solver, this.currentPossibleWords)
+      );
+      await this.getNextGuess();
+      return;
+    }
+
+    const fileCommand = this.runFileCommand(input);
+    if (fileCommand) {
+      await (fileCommand === "loaded"
+        ? this.continueGame()
+        : this.getNextGuess());
+      return;
+    }
+
+    const explain = input.trim().match(/^x(?:\s+(.*))?$/i);
+    if (explain) {
+      const words = explain[1]
+        ? explain[1].split(/[\s,]+/).filter(Boolean)
+        : [solutionGuesses[0], informationGuesses[0]]
+            .filter(Boolean)
+            .map(({ word }) => word);
+      await this.explainGuesses(words);
+      await this.getNextGuess();
+      return;
+    }
+
+    if (await this.runSessionCommand(command)) {
       await this.getNextGuess();
       return;
     }
 
-    if (input.length !== this.wordLength) {
+    if (noMatches) {
+      console.log("\nError: Fix your earlier feedback before guessing again");
+      await this.getNextGuess();
+      return;
+    }
+
+    const actualGuess = this.solver.normalizeWord(input);
+    if (!actualGuess || actualGuess.length !== this.wordLength) {
       console.log(`\nError: Please enter a ${this.wordLength}-letter word`);
       await this.getNextGuess();
       return;
     }
 
-    const actualGuess = input.toLowerCase();
-    actualGuess.split("").forEach((letter) => this.usedLetters.add(letter));
+    if (this.solver.hardMode) {
+      const violation = this.solver.getHardModeViolation(
+        actualGuess,
+        this.history
+      );
+      if (violation) {
+        console.log(`\nNot allowed in hard mode: ${violation}`);
+        await this.getNextGuess();
+        return;
+      }
+    }
 
     console.log(
       `\nEnter feedback for your guess "${actualGuess.toUpperCase()}":`
@@ -168,26 +1812,515 @@ class WordleCLI {
     await this.getFeedback(actualGuess);
   }
 
-  formatGreenLetters() {
+  async getNextMultiGuess() {
+    const states = this.multiSolver.getBoardStates();
+    console.log("\nBoards:");
+    states.forEach(({ index, solved, answer, possibleWords }) => {
+      if (solved) {
+        console.log(`Board ${index + 1}: solved (${answer})`);
+      } else if (possibleWords.length <= 10) {
+        console.log(
+          `Board ${index + 1}: ${possibleWords.length} possible word(s): ${
+            possibleWords.join(", ") || "none"
+          }`
+        );
+      } else {
+        console.log(
+          `Board ${index + 1}: ${possibleWords.length} possible words`
+        );
+      }
+    });
+
+    if (this.multiSolver.isSolved()) {
+      console.log(
+        `\nCongratulations! All ${states.length} boards solved in ${this.multiSolver.guesses.length} guesses`
+      );
+      await this.askToContinue({ solved: true });
+      return;
+    }
+
+    const emptyBoard = states.find(
+      ({ solved, possibleWords }) => !solved && possibleWords.length === 0
+    );
+    if (emptyBoard) {
+      console.log(
+        `\nNo words match board ${
+          emptyBoard.index + 1
+        }. Please check your inputs, then enter "u" to undo the last guess.`
+      );
+    }
+
+    const { finishingGuesses, informationGuesses } = emptyBoard
+      ? { finishingGuesses: [], informationGuesses: [] }
+      : this.multiSolver.suggestGuesses();
+
+    if (finishingGuesses.length > 0) {
+      console.log("\nFinishing guesses (the only word left on a board):");
+      finishingGuesses.forEach((suggestion, index) => {
+        console.log(
+          `${index + 1}. ${suggestion.word} (${suggestion.score.toFixed(
+            2
+          )} bits on the other boards)`
+        );
+      });
+    }
+
+    if (informationGuesses.length > 0) {
+      console.log(
+        "\nInformation gathering guesses (combined across unsolved boards):"
+      );
+      informationGuesses.forEach((suggestion, index) => {
+        const solves =
+          suggestion.solveChance >= 0.01
+            ? `, ${suggestion.solveChance.toFixed(2)} expected boards solved`
+            : "";
+        console.log(
+          `${index + 1}. ${suggestion.word} (${suggestion.score.toFixed(
+            2
+          )} bits${solves})`
+        );
+      });
+    }
+
+    const input = await this.question(
+      '\nEnter your guess (or "q" to quit, "l" to list all remaining words, "u" to undo the last guess): '
+    );
+
+    const command = input.toLowerCase();
+    if (command === "q") {
+      rl.close();
+      return;
+    }
+
+    if (command === "u") {
+      const guess = this.multiSolver.undoGuess();
+      console.log(
+        guess
+          ? `\nRemoved guess ${this.multiSolver.guesses.length + 1} (${guess})`
+          : "\nThere are no guesses to undo"
+      );
+      await this.getNextMultiGuess();
+      return;
+    }
+
+    if (command === "l") {
+      states
+        .filter(({ solved }) => !solved)
+        .forEach(({ index, possibleWords }) => {
+          console.log(`\nBoard ${index + 1} remaining words:`);
+          this.printWordColumns(possibleWords);
+        });
+      await this.getNextMultiGuess();
+      return;
+    }
+
+    const fileCommand = this.runFileCommand(input);
+    if (fileCommand) {
+      await (fileCommand === "loaded"
+        ? this.continueGame()
+        : this.getNextMultiGuess());
+      return;
+    }
+
+    const actualGuess = this.multiSolver.solver.normalizeWord(input);
+    if (!actualGuess || actualGuess.length !== this.wordLength) {
+      console.log(`\nError: Please enter a ${this.wordLength}-letter word`);
+      await this.getNextMultiGuess();
+      return;
+    }
+    const violation = this.multiSolver.getHardModeViolation(actualGuess);
+    if (violation) {
+      console.log(`\nNot allowed in hard mode: ${violation}`);
+      await this.getNextMultiGuess();
+      return;
+    }
+    console.log(
+      `\nEnter feedback for "${actualGuess.toUpperCase()}" on each unsolved board (g/y/x):`
+    );
+
+    const feedbacks = states.map(() => null);
+    for (const index of this.multiSolver.getUnsolvedBoards()) {
+      while (feedbacks[index] === null) {
+        const feedback = await this.question(
+          `Board ${index + 1} feedback (or "q" to quit): `
+        );
+        if (feedback.toLowerCase() === "q") {
+          rl.close();
+          return;
+        }
+        try {
+          feedbacks[index] = checkFeedback(
+            this.multiSolver.solver,
+            actualGuess,
+            feedback
+          );
+        } catch (error) {
+          console.log("Error:", error.message);
+        }
+      }
+    }
+
+    this.multiSolver.addGuess(actualGuess, feedbacks);
+    await this.getNextMultiGuess();
+  }
+
+  /**
+   * Explain how guesses would split the possible words, then let the user
+   * explain more words before going back to the guess prompt
+   * @param {Array} words - Words to explain first
+   */
+  async explainGuesses(words) {
+    let queue = words;
+    while (true) {
+      for (const input of queue) {
+        const word = this.solver.normalizeWord(input);
+        if (!word || word.length !== this.wordLength) {
+          console.log(`\nError: Please enter a ${this.wordLength}-letter word`);
+          continue;
+        }
+
+        console.log(
+          `\n${formatExplanation(
+            this.solver.explainGuess(word, this.currentPossibleWords)
+          )}`
+        );
+        if (!this.solver.guessSet.has(word)) {
+          console.log(`  Note: "${word}" is not in the word list`);
+        }
+        const violation = this.solver.hardMode
+          ? this.solver.getHardModeViolation(word, this.history)
+          : null;
+        if (violation) {
+          console.log(`  Note: not allowed in hard mode: ${violation}`);
+        }
+      }
+
+      const answer = await this.question(
+        "\nWord(s) to explain (or press Enter to go back): "
+      );
+      queue = answer.split(/[\s,]+/).filter(Boolean);
+      if (queue.length === 0) return;
+    }
+  }
+
+  /**
+   * Run a command that changes or shows the guess history
+   * @param {string} command - Lower-case user input
+   * @returns {boolean} - True if the input was a session command
+   */
+  async runSessionCommand(command) {
+    if (command === "?") {
+      console.log("\nCommands:");
+      SESSION_COMMANDS.forEach((line) => console.log(`  ${line}`));
+      return true;
+    }
+
+    if (command === "h") {
+      this.printHistory();
+      return true;
+    }
+
+    if (command === "u") {
+      if (this.history.length === 0) {
+        console.log("\nThere are no guesses to undo");
+      } else {
+        const { guess } = this.history.pop();
+        console.log(`\nRemoved guess ${this.history.length + 1} (${guess})`);
+      }
+      return true;
+    }
+
+    const edit = command.match(/^e\s*(\d*)$/);
+    if (edit) {
+      const row = edit[1] ? parseInt(edit[1]) : this.history.length;
+      await this.editFeedback(row);
+      return true;
+    }
+
+    if (command === "g") {
+      if (this.solver.isCountsOnly()) {
+        console.log("\nShare grids need per-tile feedback, not letter counts");
+      } else {
+        await this.importGrid();
+      }
+      return true;
+    }
+
+    if (command === "r") {
+      if (this.history.length > 0) {
+        const answer = await this.question(
+          `\nClear all ${this.history.length} guess(es) and start over? (y/n): `
+        );
+        if (answer.toLowerCase() !== "y") return true;
+      }
+      this.history = [];
+      console.log(`\nStarting over with ${this.wordLength}-letter words`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Read a pasted share grid and ask for the word guessed on each row. The
+   * rows are added after any guesses already entered.
+   */
+  async importGrid() {
+    console.log(
+      "\nPaste the share grid (🟩🟨⬛/⬜ or 🟧🟦), then press Enter on an empty line:"
+    );
+    const lines = [];
+    while (true) {
+      const line = await this.question("");
+      // The blank line after a "Wordle 1,234 4/6" header doesn't end the grid
+      if (
+        line.trim() === "" &&
+        (lines.length === 0 || parseShareGrid(lines.join("\n")).length > 0)
+      ) {
+        break;
+      }
+      lines.push(line);
+    }
+
+    let rows;
+    try {
+      rows = this.solver.parseShareGrid(lines.join("\n"));
+    } catch (error) {
+      console.log(`\nError: ${error.message}`);
+      return;
+    }
+
+    console.log(
+      `\nType the word you guessed on each of the ${rows.length} rows:`
+    );
+    for (const feedback of rows) {
+      while (true) {
+        const input = await this.question(
+          `${formatFeedbackRow(" ".repeat(this.wordLength), feedback)}  Guess ${
+            this.history.length + 1
+          } (or "q" to stop): `
+        );
+        if (input.trim().toLowerCase() === "q") return;
+        const guess = this.solver.normalizeWord(input);
+        if (!guess || guess.length !== this.wordLength) {
+          console.log(`Error: Please enter a ${this.wordLength}-letter word`);
+          continue;
+        }
+        const problem =
+          this.solver.lies > 0
+            ? null
+            : WordConstraints.getFeedbackProblem(guess, feedback);
+        if (problem) {
+          console.log(
+            `Error: ${guess.toUpperCase()} can't get this row: ${problem}`
+          );
+          continue;
+        }
+        if (this.solver.hardMode) {
+          const violation = this.solver.getHardModeViolation(
+            guess,
+            this.history
+          );
+          if (violation) {
+            console.log(`Not allowed in hard mode: ${violation}`);
+            continue;
+          }
+        }
+        this.history.push({ guess, feedback: feedback.toLowerCase() });
+        break;
+      }
+    }
+    console.log(`\nAdded ${rows.length} guess(es) from the grid`);
+  }
+
+  /**
+   * Explain why no word fits the guesses, and which guess is most likely a
+   * typo
+   */
+  printDiagnosis() {
+    if (this.solver.isCountsOnly()) {
+      console.log(
+        "No word gets those counts for every guess. Check the numbers you entered."
+      );
+      return;
+    }
+    if (this.solver.lies > 0) {
+      console.log(
+        `No word fits with exactly ${this.solver.lies} wrong tile(s) in every row. Check the feedback you entered and the number of lies (--lies).`
+      );
+      return;
+    }
+    const { rowProblems, conflicts, suspects } = this.solver.diagnoseHistory(
+      this.history
+    );
+    const describeRow = (row) =>
+      `guess ${row + 1} (${formatFeedbackRow(
+        this.history[row].guess,
+        this.history[row].feedback
+      )})`;
+    const listWords = (words) =>
+      `${words.slice(0, 10).join(", ")}${words.length > 10 ? ", ..." : ""}`;
+
+    rowProblems.forEach(({ row, message }) => {
+      console.log(`No word could give ${describeRow(row)}: ${message}`);
+    });
+    conflicts
+      .filter(({ rows }) => rows.length > 1)
+      .forEach(({ rows, reason }) => {
+        console.log(
+          `Guesses ${rows
+            .map((row) => row + 1)
+            .join(" and ")} can't all be right: ${reason}`
+        );
+        rows.forEach((row) => {
+          const { guess, feedback } = this.history[row];
+          console.log(`  ${row + 1}. ${formatFeedbackRow(guess, feedback)}`);
+        });
+      });
+
+    const [suspect] = suspects;
+    if (suspect) {
+      console.log(`\nThe likeliest typo is ${describeRow(suspect.row)}.`);
+      console.log(
+        `Without it, ${suspect.candidates.length} word(s) fit: ${listWords(
+          suspect.candidates
+        )}`
+      );
+      suspect.fixes.slice(0, 3).forEach(({ feedback, candidates }) => {
+        console.log(
+          `With feedback ${feedback} instead, ${
+            candidates.length
+          } word(s) fit: ${listWords(candidates)}`
+        );
+      });
+    }
+  }
+
+  printHistory() {
+    if (this.history.length === 0) {
+      console.log("\nNo guesses yet");
+      return;
+    }
+
+    console.log("\nGuesses:");
+    this.history.forEach(({ guess, feedback }, index) => {
+      console.log(`${index + 1}. ${formatFeedbackRow(guess, feedback)}`);
+    });
+  }
+
+  async editFeedback(row) {
+    if (row < 1 || row > this.history.length) {
+      console.log(
+        this.history.length === 0
+          ? "\nThere are no guesses to edit"
+          : `\nChoose a guess from 1 to ${this.history.length}`
+      );
+      return;
+    }
+
+    const entry = this.history[row - 1];
+    console.log(
+      `\nGuess ${row}: ${formatFeedbackRow(entry.guess, entry.feedback)}`
+    );
+    while (true) {
+      const input = await this.question(
+        `New feedback for "${entry.guess.toUpperCase()}" (or press Enter to keep it): `
+      );
+      if (input.trim() === "") return;
+      try {
+        entry.feedback = checkFeedback(
+          this.solver,
+          entry.guess,
+          input
+        ).toLowerCase();
+        break;
+      } catch (error) {
+        console.log("Error:", error.message);
+      }
+    }
+
+    // Later guesses may no longer follow the corrected hints
+    if (this.solver.hardMode) {
+      this.history.slice(row).forEach(({ guess }, index) => {
+        const violation = this.solver.getHardModeViolation(
+          guess,
+          this.history.slice(0, row + index)
+        );
+        if (violation) {
+          console.log(
+            `Warning: guess ${
+              row + index + 1
+            } (${guess}) breaks hard mode: ${violation}`
+          );
+        }
+      });
+    }
+  }
+
+  printWordColumns(words) {
+    // Print words in columns for better readability
+    const columns = 5;
+    const width = words.reduce(
+      (max, word) => Math.max(max, word.length + 2),
+      12
+    );
+    for (let i = 0; i < words.length; i += columns) {
+      const row = words
+        .slice(i, i + columns)
+        .map((word) => word.padEnd(width)) // Pad each word to align columns
+        .join("");
+      console.log(row);
+    }
+  }
+
+  formatGreenLetters(constraints) {
     return (
-      Object.entries(this.greenLetters)
-        .map(([pos, letter]) => `${letter} at position ${parseInt(pos) + 1}`)
+      constraints.fixed
+        .map((letter, pos) =>
+          letter ? `${letter} at position ${pos + 1}` : null
+        )
+        .filter(Boolean)
         .join(", ") || "none"
     );
   }
 
-  formatYellowLetters() {
+  formatYellowLetters(constraints) {
     return (
-      Object.entries(this.yellowLetters)
-        .map(
-          ([pos, letters]) =>
-            `${letters.join(",")} not at position ${parseInt(pos) + 1}`
-        )
+      constraints.excluded
+        .map((letters, pos) => {
+          const present = [...letters].filter(
+            (letter) => constraints.getMinCount(letter) > 0
+          );
+          return present.length > 0
+            ? `${present.join(",")} not at position ${pos + 1}`
+            : null;
+        })
+        .filter(Boolean)
+        .join(", ") || "none"
+    );
+  }
+
+  formatLetterCounts(constraints) {
+    return (
+      constraints
+        .getPresentLetters()
+        // Only show counts that say more than "at least once"
+        .filter(({ min, max }) => min > 1 || max < this.wordLength)
+        .map(({ letter, min, max }) => {
+          if (min === max) return `${letter} exactly ${min}`;
+          if (max < this.wordLength) return `${letter} ${min}-${max}`;
+          return `${letter} at least ${min}`;
+        })
         .join(", ") || "none"
     );
   }
 
   async getFeedback(guessedWord) {
+    if (this.solver.isCountsOnly()) {
+      await this.getCountFeedback(guessedWord);
+      return;
+    }
+
     console.log(
       `\nEnter feedback as a ${this.wordLength}-letter string where:`
     );
@@ -197,6 +2330,7 @@ class WordleCLI {
     console.log(`Example: "${"x".repeat(this.wordLength - 1)}g" means:`);
     console.log(`- First ${this.wordLength - 1} letters are grey`);
     console.log("- Last letter is green");
+    console.log("You can also paste a row of a share grid, e.g. ⬛⬛⬛⬛🟩");
 
     const feedback = await this.question('Enter feedback (or "q" to quit): ');
 
@@ -214,67 +2348,188 @@ class WordleCLI {
     }
   }
 
-  processFeedback(feedback, guessedWord) {
-    if (feedback.length !== this.wordLength) {
-      throw new Error(
-        `Feedback must be exactly ${this.wordLength} letters long`
-      );
+  /**
+   * Ask for the letter counts a Jotto or Mastermind game gave a guess
+   */
+  async getCountFeedback(guessedWord) {
+    const prompt =
+      this.solver.feedbackModel.name === "jotto"
+        ? 'Letters in common with the answer, or "solved" if it was the word'
+        : 'Letters in the right place and in the wrong place, e.g. "2 1"';
+    const feedback = await this.question(`${prompt} (or "q" to quit): `);
+
+    if (feedback.toLowerCase() === "q") {
+      rl.close();
+      return;
     }
 
-    if (!/^[gyx]+$/.test(feedback)) {
-      throw new Error("Feedback can only contain the letters g, y, and x");
+    try {
+      this.processFeedback(feedback, guessedWord);
+      await this.getNextGuess();
+    } catch (error) {
+      console.log("\nError:", error.message);
+      await this.getCountFeedback(guessedWord);
     }
+  }
 
-    const colors = feedback.split("");
-    colors.forEach((color, pos) => {
-      const letter = guessedWord[pos];
+  processFeedback(feedback, guessedWord) {
+    // Accepts g/y/x letters or a pasted row of share-grid emoji
+    const normalized = checkFeedback(
+      this.solver,
+      guessedWord,
+      feedback
+    ).toLowerCase();
 
-      switch (color) {
-        case "g":
-          this.greenLetters[pos] = letter;
-          break;
-        case "y":
-          if (!this.yellowLetters[pos]) {
-            this.yellowLetters[pos] = [];
-          }
-          this.yellowLetters[pos].push(letter);
-          break;
-        case "x":
-          this.greyLetters.push(letter);
-          break;
-      }
-    });
+    this.history.push({ guess: guessedWord, feedback: normalized });
   }
 
-  async askToContinue() {
+  /**
+   * Record a finished game and offer to review it if it was solved, then
+   * ask whether to play again
+   * @param {Object|null} result - { solved, solution } for a finished
+   *   game, where solution is the answer if known. Omitted when the game
+   *   ended some other way (e.g. no words match), which isn't recorded.
+   */
+  async askToContinue(result = null) {
+    // A finished game shouldn't be offered for resuming
+    this.gameOver = true;
+    clearSession(AUTOSAVE_PATH);
+
+    const { solved = false, solution = null } = result || {};
+    if (result && this.recordStats) {
+      this.recordFinishedGame(solved, solution);
+    }
+    if (solved && solution && this.canReview()) {
+      const review = await this.question(
+        "\nReview your guesses against the solver's? (y/n): "
+      );
+      if (review.toLowerCase() === "y") {
+        this.printReview(solution);
+      }
+    }
+
     const answer = await this.question(
       "\nWould you like to start a new game? (y/n): "
     );
     if (answer.toLowerCase() === "y") {
-      this.greenLetters = {};
-      this.yellowLetters = {};
-      this.greyLetters = [];
-      this.usedLetters.clear();
+      this.history = [];
       this.currentPossibleWords = [];
       // Ask for word length again for the new game
       this.solver = null;
+      this.multiSolver = null;
+      this.secretWord = null;
+      this.host = null;
+      this.gameOver = false;
       await this.start();
     } else {
       rl.close();
     }
   }
 
+  /**
+   * Add a finished or abandoned game to the stats file
+   * @param {boolean} solved - Whether the game was solved. A single-board
+   *   game that took more guesses than the limit still counts as a loss.
+   * @param {string|null} solution - The answer, if known
+   * @param {Object|null} state - The game's session state (defaults to the
+   *   current game)
+   */
+  recordFinishedGame(solved, solution, state = this.getSessionState()) {
+    if (!state) return;
+
+    // Every guess was played on the board that stayed open longest
+    const rows = state.boards
+      ? state.boards.reduce((a, b) => (b.length > a.length ? b : a))
+      : state.history;
+    const guesses = rows.map(({ guess }) => guess);
+    // Solve mode finishes as soon as one word is left, before it is played
+    if (solved && solution && guesses[guesses.length - 1] !== solution) {
+      guesses.push(solution);
+    }
+    try {
+      recordGame({
+        mode: state.mode,
+        wordLength: state.wordLength,
+        boards: state.boards ? state.boards.length : 1,
+        hardMode: state.hardMode,
+        feedback: state.feedback,
+        lies: state.lies,
+        dictionary: state.dictionary,
+        guesses,
+        solved: solved && guesses.length <= this.getGuessLimit(state.mode),
+        answer: state.boards ? null : solution,
+      });
+    } catch (error) {
+      console.log(`\nError: Could not record your game: ${error.message}`);
+    }
+  }
+
+  /**
+   * Number of guesses a game of the given mode can take and still count as
+   * a win. Absurdle and multi-board games have no fixed limit here.
+   */
+  getGuessLimit(mode) {
+    if (mode === "play") return PLAY_MAX_GUESSES;
+    if (mode !== "solve") return Infinity;
+    return (this.lookahead && this.lookahead.maxGuesses) || PLAY_MAX_GUESSES;
+  }
+
+  /**
+   * Check whether the current game can be reviewed: a single board with
+   * honest feedback
+   */
+  canReview() {
+    return Boolean(
+      this.solver &&
+        !this.multiSolver &&
+        this.solver.lies === 0 &&
+        this.history.length > 0
+    );
+  }
+
+  /**
+   * Show the post-game review of the current game
+   * @param {string} answer - The game's answer
+   */
+  printReview(answer) {
+    try {
+      console.log(
+        `\n${formatReview(reviewGame(this.solver, this.history, answer))}`
+      );
+    } catch (error) {
+      console.log(`\nCan't review this game: ${error.message}`);
+    }
+  }
+
   question(query) {
     return new Promise((resolve) => rl.question(query, resolve));
   }
 }
 
-// Start the CLI
-const cli = new WordleCLI();
-cli.start().catch(console.error);
+if (options.help) {
+  console.log(USAGE);
+} else if (options.oneShot) {
+  process.exitCode =
+    options.grid && options.guessRows.length === 0
+      ? runGrid(options)
+      : runOnce(options);
+} else {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
 
-// Handle cleanup
-rl.on("close", () => {
-  console.log("\nThanks for using Wordle Solver!");
-  process.exit(0);
-});
+  // Start the CLI
+  const cli = new WordleCLI(options);
+  cli.start().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+
+  // Handle cleanup
+  rl.on("close", () => {
+    cli.autosave();
+    console.log("\nThanks for using Wordle Solver!");
+    process.exit(0);
+  });
+}
@@ -0,0 +1,226 @@
+const { encodeFeedback, computePattern } = require("./patternMatrix");
+const WordConstraints = require("./constraints");
+
+// Smallest conflicting row sets reported
+const MAX_CONFLICTS = 5;
+// Longest history searched for conflicting row sets (every subset is tried)
+const MAX_SEARCH_ROWS = 10;
+
+/**
+ * Mark the answers that give a guess the feedback of one history row
+ * @returns {Uint8Array} - 1 for each answer (in solver.wordList order) that
+ *   fits the row
+ */
+function matchRow(solver, guess, feedback) {
+  const answers = solver.wordList;
+  const code = encodeFeedback(feedback);
+  const row = solver.getPatternMatrix().getRow(guess);
+  const mask = new Uint8Array(answers.length);
+  for (let a = 0; a < answers.length; a++) {
+    mask[a] = (row ? row[a] : computePattern(guess, answers[a])) === code;
+  }
+  return mask;
+}
+
+/**
+ * List the answers that fit every given row mask
+ */
+function fitAll(solver, masks) {
+  return solver.wordList.filter((word, a) => masks.every((mask) => mask[a]));
+}
+
+/**
+ * Check whether any answer fits every given row mask
+ */
+function anyFit(masks) {
+  for (let a = 0; a < masks[0].length; a++) {
+    if (masks.every((mask) => mask[a])) return true;
+  }
+  return false;
+}
+
+/**
+ * Call fn with every combination of size k of the indexes 0..n-1, stopping
+ * early once fn returns true
+ */
+function forEachCombination(n, k, fn) {
+  const indexes = Array.from({ length: k }, (_, i) => i);
+  while (true) {
+    if (fn(indexes)) return;
+
+    let i = k - 1;
+    while (i >= 0 && indexes[i] === n - k + i) i--;
+    if (i < 0) return;
+    indexes[i]++;
+    for (let j = i + 1; j < k; j++) indexes[j] = indexes[j - 1] + 1;
+  }
+}
+
+/**
+ * Work out why no word fits a guess history, and which row is most likely
+ * a typo
+ * @param {WordleSolver} solver - Solver holding the answer list
+ * @param {Array} history - Array of { guess, feedback } pairs
+ * @returns {Object} - { consistent, rowProblems, conflicts, suspects }:
+ *   - rowProblems: { row, message } for feedback no word could give the
+ *     typed guess
+ *   - conflicts: the smallest sets of rows no answer fits all at once, as
+ *     { rows, reason }
+ *   - suspects: { row, candidates, fixes } for each row whose removal
+ *     leaves some answers, likeliest typo first. candidates are the answers
+ *     without the row, and fixes lists { feedback, candidates } for every
+ *     one-tile change to the row's feedback that makes the history fit.
+ *   Row numbers are 0-based indexes into the history.
+ */
+function diagnoseHistory(solver, history) {
+  const rows = history.map(({ guess, feedback }) => ({
+    guess: solver.normalizeWord(guess) || guess.toLowerCase(),
+    feedback: WordConstraints.normalizeFeedback(feedback, solver.wordLength),
+  }));
+  const masks = rows.map(({ guess, feedback }) =>
+    matchRow(solver, guess, feedback)
+  );
+  const result = {
+    consistent: masks.length === 0 || anyFit(masks),
+    rowProblems: [],
+    conflicts: [],
+    suspects: [],
+  };
+  if (result.consistent) {
+    return result;
+  }
+
+  rows.forEach(({ guess, feedback }, row) => {
+    const message = WordConstraints.getFeedbackProblem(guess, feedback);
+    if (message) {
+      result.rowProblems.push({ row, message });
+    }
+  });
+
+  // Try every set of 1, 2, ... rows and keep the first size with conflicts
+  if (rows.length <= MAX_SEARCH_ROWS) {
+    for (let k = 1; k <= rows.length && result.conflicts.length === 0; k++) {
+      forEachCombination(rows.length, k, (indexes) => {
+        if (!anyFit(indexes.map((i) => masks[i]))) {
+          result.conflicts.push({
+            rows: [...indexes],
+            reason: describeConflict(solver, rows, indexes, result.rowProblems),
+          });
+        }
+        return result.conflicts.length >= MAX_CONFLICTS;
+      });
+    }
+  }
+
+  const inConflict = new Set(result.conflicts.flatMap(({ rows }) => rows));
+  const impossible = new Set(result.rowProblems.map(({ row }) => row));
+  rows.forEach(({ guess, feedback }, row) => {
+    const otherMasks = masks.filter((mask, i) => i !== row);
+    const candidates = fitAll(solver, otherMasks);
+    if (candidates.length === 0) return;
+
+    const fixes = [];
+    for (let i = 0; i < feedback.length; i++) {
+      for (const color of "GYX") {
+        if (color === feedback[i]) continue;
+        const fixed = feedback.slice(0, i) + color + feedback.slice(i + 1);
+        if (WordConstraints.getFeedbackProblem(guess, fixed)) continue;
+
+        const fits = fitAll(solver, [
+          ...otherMasks,
+          matchRow(solver, guess, fixed),
+        ]);
+        if (fits.length > 0) {
+          fixes.push({ feedback: fixed, candidates: fits });
+        }
+      }
+    }
+    result.suspects.push({ row, candidates, fixes });
+  });
+
+  // Impossible rows first, then rows a one-tile change would fix, then rows
+  // in a conflict, then the most recent row
+  const rank = ({ row, fixes }) =>
+    (impossible.has(row) ? 4 : 0) +
+    (fixes.length > 0 ? 2 : 0) +
+    (inConflict.has(row) ? 1 : 0);
+  result.suspects.sort((a, b) => rank(b) - rank(a) || b.row - a.row);
+
+  return result;
+}
+
+/**
+ * Explain in words why a set of rows can't all be true
+ */
+function describeConflict(solver, rows, indexes, rowProblems) {
+  if (indexes.length === 1) {
+    const problem = rowProblems.find(({ row }) => row === indexes[0]);
+    if (problem) return problem.message;
+  }
+
+  const constraints = WordConstraints.fromHistory(
+    solver.wordLength,
+    indexes.map((i) => rows[i])
+  );
+  return (
+    constraints.contradictions[0] ||
+    `No ${solver.wordLength}-letter word in the answer list fits ${
+      indexes.length === 1 ? "this feedback" : "all of these at once"
+    }`
+  );
+}
+
+/**
+ * Sum up a diagnosis in a sentence or two, e.g. for error messages
+ * @param {Object} diagnosis - Result of diagnoseHistory
+ * @returns {string} - Summary using 1-based guess numbers
+ */
+function describeDiagnosis({ rowProblems, conflicts, suspects }) {
+  const parts = [];
+  const [problem] = rowProblems;
+  const conflict = conflicts.find(({ rows }) => rows.length > 1);
+  if (problem) {
+    parts.push(
+      `Guess ${problem.row + 1} can't get that feedback: ${problem.message}.`
+    );
+  } else if (conflict) {
+    parts.push(
+      `Guesses ${conflict.rows
+        .map((row) => row + 1)
+        .join(" and ")} can't all be right: ${conflict.reason}.`
+    );
+  } else {
+    parts.push("No words match the feedback.");
+  }
+  if (suspects.length > 0) {
+    parts.push(`Guess ${suspects[0].row + 1} is the likeliest typo.`);
+  }
+  return parts.join(" ");
+}
+
+/**
+ * Shorten a diagnosis for JSON output by keeping only the first few
+ * candidate words of each suspect and fix
+ * @param {Object} diagnosis - Result of diagnoseHistory
+ * @param {number} limit - Words to keep per list
+ * @returns {Object} - The diagnosis with { count, candidates } word lists
+ */
+function limitDiagnosis(diagnosis, limit) {
+  const shorten = (words) => ({
+    count: words.length,
+    candidates: words.slice(0, limit),
+  });
+  return {
+    ...diagnosis,
+    suspects: diagnosis.suspects.map(({ row, candidates, fixes }) => ({
+      row,
+      ...shorten(candidates),
+      fixes: fixes.map(({ feedback, candidates: fixed }) => ({
+        feedback,
+        ...shorten(fixed),
+      })),
+    })),
+  };
+}
+
+module.exports = { diagnoseHistory, describeDiagnosis, limitDiagnosis };
@@ -0,0 +1,383 @@
+const { parseEmojiRow } = require("./shareGrid");
+
+/**
+ * Format a 1-based position as an ordinal (1st, 2nd, 3rd, ...)
+ */
+function ordinal(n) {
+  const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : suffixes[n % 10];
+  return `${n}${suffix || "th"}`;
+}
+
+/**
+ * Constraints on the hidden word derived from a history of guesses and
+ * their feedback.
+ *
+ * Each feedback row tells us, for every letter in the guess:
+ * - where the letter is (green) or is not (yellow / grey)
+ * - how many times it appears at least (greens + yellows)
+ * - how many times it appears at most (exactly greens + yellows once a
+ *   copy of the letter comes back grey)
+ *
+ * Combining these per-letter min/max counts with the per-position
+ * constraints accepts exactly the words that would have produced the same
+ * feedback under `WordleSolver.simulateFeedback`.
+ */
+class WordConstraints {
+  /**
+   * @param {number} wordLength - Length of the hidden word
+   */
+  constructor(wordLength) {
+    this.wordLength = wordLength;
+    // Letter known to be at each position (null if unknown)
+    this.fixed = Array(wordLength).fill(null);
+    // Letters known not to be at each position
+    this.excluded = Array.from({ length: wordLength }, () => new Set());
+    // Minimum and maximum number of times each letter appears
+    this.minCounts = new Map();
+    this.maxCounts = new Map();
+    // Human-readable reasons why no word can satisfy these constraints
+    this.contradictions = [];
+  }
+
+  /**
+   * Build constraints from a list of guesses and their feedback
+   * @param {number} wordLength - Length of the hidden word
+   * @param {Array} history - Array of { guess, feedback } pairs
+   * @returns {WordConstraints} - Constraints implied by the whole history
+   */
+  static fromHistory(wordLength, history = []) {
+    const constraints = new WordConstraints(wordLength);
+    history.forEach(({ guess, feedback }) =>
+      constraints.addGuess(guess, feedback)
+    );
+    return constraints;
+  }
+
+  /**
+   * Normalize a feedback string to the upper-case form used by the solver
+   * @param {string} feedback - Feedback using g/y/x in any case, or a row of
+   *   share-grid emoji such as "⬛🟨⬛⬛🟩"
+   * @param {number} wordLength - Expected length of the feedback
+   * @returns {string} - Feedback such as "GYXXG"
+   */
+  static normalizeFeedback(feedback, wordLength) {
+    const normalized =
+      parseEmojiRow(feedback) || String(feedback).trim().toUpperCase();
+    if (normalized.length !== wordLength) {
+      throw new Error(`Feedback must be exactly ${wordLength} letters long`);
+    }
+    if (!/^[GYX]+$/.test(normalized)) {
+      throw new Error("Feedback can only contain the letters g, y, and x");
+    }
+    return normalized;
+  }
+
+  /**
+   * Check whether any hidden word could give a guess this feedback
+   * @param {string} guess - The guessed word
+   * @param {string} feedback - Feedback string (g/y/x per letter)
+   * @returns {string|null} - Why no word could give this feedback, or null
+   *   if some word could
+   */
+  static getFeedbackProblem(guess, feedback) {
+    const word = guess.toLowerCase();
+    const colors = WordConstraints.normalizeFeedback(feedback, word.length);
+
+    // Copies of a letter are marked left to right, so a grey copy can't come
+    // before a yellow one
+    const firstGrey = new Map();
+    for (let i = 0; i < word.length; i++) {
+      const letter = word[i];
+      if (colors[i] === "X" && !firstGrey.has(letter)) {
+        firstGrey.set(letter, i);
+      } else if (colors[i] === "Y" && firstGrey.has(letter)) {
+        return `${letter.toUpperCase()} is grey at position ${
+          firstGrey.get(letter) + 1
+        } but yellow at position ${
+          i + 1
+        }, and the first copy of a letter is always marked first`;
+      }
+    }
+
+    // Every yellow letter needs a position of its own that isn't green and
+    // doesn't hold the same letter in the guess
+    const yellows = [];
+    for (let i = 0; i < word.length; i++) {
+      if (colors[i] === "Y") yellows.push(word[i]);
+    }
+    const holder = Array(word.length).fill(-1);
+    const place = (y, visited) => {
+      for (let j = 0; j < word.length; j++) {
+        if (colors[j] === "G" || word[j] === yellows[y] || visited[j]) {
+          continue;
+        }
+        visited[j] = true;
+        if (holder[j] === -1 || place(holder[j], visited)) {
+          holder[j] = y;
+          return true;
+        }
+      }
+      return false;
+    };
+    const unplaced = yellows.filter(
+      (letter, y) => !place(y, Array(word.length).fill(false))
+    );
+    if (unplaced.length > 0) {
+      return `There is nowhere else in the word for the yellow ${unplaced
+        .map((letter) => letter.toUpperCase())
+        .join(", ")}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Add the information from a single guess and its feedback
+   * @param {string} guess - The guessed word
+   * @param {string} feedback - Feedback string (g/y/x per letter)
+   */
+  addGuess(guess, feedback) {
+    const word = guess.toLowerCase();
+    if (word.length !== this.wordLength) {
+      throw new Error(`Guess must be exactly ${this.wordLength} letters long`);
+    }
+    const colors = WordConstraints.normalizeFeedback(feedback, this.wordLength);
+
+    // Count how many copies of each letter were marked present in this row,
+    // and whether any copy was marked grey
+    const marked = new Map();
+    const hasGrey = new Set();
+
+    for (let i = 0; i < this.wordLength; i++) {
+      const letter = word[i];
+      if (!marked.has(letter)) {
+        marked.set(letter, 0);
+      }
+
+      if (colors[i] === "G") {
+        this.setFixed(i, letter);
+        marked.set(letter, marked.get(letter) + 1);
+      } else {
+        this.excluded[i].add(letter);
+        if (colors[i] === "Y") {
+          marked.set(letter, marked.get(letter) + 1);
+        } else {
+          hasGrey.add(letter);
+        }
+      }
+    }
+
+    for (const [letter, count] of marked) {
+      this.raiseMin(letter, count);
+      if (hasGrey.has(letter)) {
+        this.lowerMax(letter, count);
+      }
+    }
+
+    this.checkPositions();
+  }
+
+  /**
+   * Record that a position holds a specific letter
+   */
+  setFixed(position, letter) {
+    const current = this.fixed[position];
+    if (current && current !== letter) {
+      this.addContradiction(
+        `Position ${position + 1} is green for both ${current} and ${letter}`
+      );
+      return;
+    }
+    this.fixed[position] = letter;
+  }
+
+  /**
+   * Record a reason why the constraints cannot be satisfied
+   */
+  addContradiction(message) {
+    if (!this.contradictions.includes(message)) {
+      this.contradictions.push(message);
+    }
+  }
+
+  /**
+   * Raise the minimum count for a letter
+   */
+  raiseMin(letter, count) {
+    const min = Math.max(this.minCounts.get(letter) || 0, count);
+    this.minCounts.set(letter, min);
+    this.checkCounts(letter);
+  }
+
+  /**
+   * Lower the maximum count for a letter
+   */
+  lowerMax(letter, count) {
+    const max = Math.min(this.getMaxCount(letter), count);
+    this.maxCounts.set(letter, max);
+    this.checkCounts(letter);
+  }
+
+  /**
+   * Record a contradiction if a letter's min count exceeds its max count
+   */
+  checkCounts(letter) {
+    const min = this.minCounts.get(letter) || 0;
+    const max = this.getMaxCount(letter);
+    if (min > max) {
+      this.addContradiction(
+        `${letter} must appear at least ${min} time(s) but at most ${max}`
+      );
+    }
+  }
+
+  /**
+   * Record contradictions between the position and count constraints
+   */
+  checkPositions() {
+    let totalMin = 0;
+    for (const count of this.minCounts.values()) {
+      totalMin += count;
+    }
+    if (totalMin > this.wordLength) {
+      this.addContradiction(
+        `Feedback requires ${totalMin} letters in a ${this.wordLength}-letter word`
+      );
+    }
+
+    for (let i = 0; i < this.wordLength; i++) {
+      const letter = this.fixed[i];
+      if (letter && this.excluded[i].has(letter)) {
+        this.addContradiction(
+          `${letter} is both green and not green at position ${i + 1}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Get the maximum number of times a letter may appear
+   */
+  getMaxCount(letter) {
+    return this.maxCounts.has(letter)
+      ? this.maxCounts.get(letter)
+      : this.wordLength;
+  }
+
+  /**
+   * Get the minimum number of times a letter must appear
+   */
+  getMinCount(letter) {
+    return this.minCounts.get(letter) || 0;
+  }
+
+  /**
+   * Check whether a letter is allowed at a position
+   */
+  isAllowed(position, letter) {
+    if (this.fixed[position]) {
+      return this.fixed[position] === letter;
+    }
+    return !this.excluded[position].has(letter) && this.getMaxCount(letter) > 0;
+  }
+
+  /**
+   * Check whether the constraints contradict each other
+   * @returns {boolean} - True if no word can satisfy the constraints
+   */
+  isContradictory() {
+    return this.contradictions.length > 0;
+  }
+
+  /**
+   * Check whether a word satisfies every constraint
+   * @param {string} word - Candidate word
+   * @returns {boolean} - True if the word is consistent with the history
+   */
+  matches(word) {
+    if (word.length !== this.wordLength || this.isContradictory()) {
+      return false;
+    }
+
+    const counts = new Map();
+    for (let i = 0; i < this.wordLength; i++) {
+      const letter = word[i];
+      if (
+        this.fixed[i] ? this.fixed[i] !== letter : this.excluded[i].has(letter)
+      ) {
+        return false;
+      }
+      counts.set(letter, (counts.get(letter) || 0) + 1);
+    }
+
+    for (const [letter, min] of this.minCounts) {
+      if ((counts.get(letter) || 0) < min) {
+        return false;
+      }
+    }
+    for (const [letter, max] of this.maxCounts) {
+      if ((counts.get(letter) || 0) > max) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check a guess against Wordle's hard-mode rules: every revealed green must
+   * stay in place and every revealed yellow must be reused
+   * @param {string} guess - The word to check
+   * @returns {string|null} - The rule the guess breaks, or null if it is legal
+   */
+  getHardModeViolation(guess) {
+    const word = guess.toLowerCase();
+
+    for (let i = 0; i < this.wordLength; i++) {
+      const letter = this.fixed[i];
+      if (letter && word[i] !== letter) {
+        return `${ordinal(i + 1)} letter must be ${letter.toUpperCase()}`;
+      }
+    }
+
+    for (const { letter, min } of this.getPresentLetters()) {
+      const count = word.split("").filter((l) => l === letter).length;
+      if (count < min) {
+        return min === 1
+          ? `Guess must contain ${letter.toUpperCase()}`
+          : `Guess must contain ${min} copies of ${letter.toUpperCase()}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get letters known to be absent from the word
+   * @returns {Array} - Sorted letters with a max count of zero
+   */
+  getAbsentLetters() {
+    return [...this.maxCounts]
+      .filter(([, max]) => max === 0)
+      .map(([letter]) => letter)
+      .sort();
+  }
+
+  /**
+   * Get letters known to be present, with their count bounds
+   * @returns {Array} - Array of { letter, min, max } sorted by letter
+   */
+  getPresentLetters() {
+    return [...this.minCounts]
+      .filter(([, min]) => min > 0)
+      .map(([letter, min]) => ({
+        letter,
+        min,
+        max: this.getMaxCount(letter),
+      }))
+      .sort((a, b) => a.letter.localeCompare(b.letter));
+  }
+}
+
+module.exports = WordConstraints;
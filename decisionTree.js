@@ -0,0 +1,318 @@
+const fs = require("fs");
+const WordleSolver = require("./wordleSolver");
+const { decodePattern } = require("./patternMatrix");
+
+const TREE_FORMAT_VERSION = 1;
+// Stop expanding a branch after this many guesses; whatever words remain
+// are listed as unsolved
+const MAX_DEPTH = 20;
+
+/**
+ * Group words like solver.groupByFeedback, keyed by feedback string
+ * @returns {Map} - Map of feedback string -> array of words, sorted by feedback
+ */
+function groupByFeedbackString(solver, guess, words) {
+  const groups = [...solver.groupByFeedback(guess, words)].map(
+    ([code, group]) => [decodePattern(code, solver.wordLength), group]
+  );
+  return new Map(groups.sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Build the full decision tree the solver would follow from an opening
+ * guess: each node holds a guess, and its children are keyed by the
+ * feedback that guess can get.
+ * @param {WordleSolver} solver - Solver whose strategy picks every guess
+ * @param {Object} options - Tree options
+ * @param {string} options.opening - First guess (defaults to the solver's choice)
+ * @param {number} options.maxDepth - Deepest guess to expand
+ * @param {Function} options.onProgress - Called with (solved, total) as answers are placed
+ * @returns {Object} - Tree root: { guess, remaining, answer, children }
+ */
+function buildDecisionTree(solver, options = {}) {
+  const { opening = null, maxDepth = MAX_DEPTH, onProgress = null } = options;
+  const solvedFeedback = "G".repeat(solver.wordLength);
+  const allWords = solver.findPossibleWords([]);
+  let placed = 0;
+
+  const openingWord = opening ? solver.normalizeWord(opening) : null;
+  if (opening && !solver.guessSet.has(openingWord)) {
+    throw new Error(`"${opening}" is not an accepted guess`);
+  }
+
+  const buildNode = (possibleWords, history) => {
+    let guess =
+      history.length === 0 && openingWord
+        ? openingWord
+        : solver.chooseGuess(possibleWords, history);
+    let groups = groupByFeedbackString(solver, guess, possibleWords);
+
+    // A guess that can't split the remaining words would loop forever, so
+    // fall back to guessing a possible answer
+    if (groups.size === 1 && !groups.has(solvedFeedback)) {
+      guess = possibleWords[0];
+      groups = groupByFeedbackString(solver, guess, possibleWords);
+    }
+
+    const node = {
+      guess,
+      remaining: possibleWords.length,
+      answer: groups.has(solvedFeedback),
+      children: {},
+    };
+
+    for (const [feedback, words] of groups) {
+      if (feedback === solvedFeedback) {
+        placed++;
+        if (onProgress) onProgress(placed, allWords.length);
+        continue;
+      }
+
+      const nextHistory = [...history, { guess, feedback }];
+      if (nextHistory.length >= maxDepth) {
+        node.children[feedback] = { unsolved: words };
+        placed += words.length;
+        if (onProgress) onProgress(placed, allWords.length);
+        continue;
+      }
+      node.children[feedback] = buildNode(words, nextHistory);
+    }
+
+    return node;
+  };
+
+  return buildNode(allWords, []);
+}
+
+/**
+ * Compute summary statistics for a decision tree, counting every answer as
+ * equally likely
+ * @param {Object} root - Tree root from buildDecisionTree
+ * @returns {Object} - { answers, maxDepth, averageDepth, distribution, unsolved, nodes }
+ */
+function summarizeTree(root) {
+  const distribution = {};
+  let answers = 0;
+  let totalDepth = 0;
+  let maxDepth = 0;
+  let unsolved = 0;
+  let nodes = 0;
+
+  const visit = (node, depth) => {
+    if (node.unsolved) {
+      unsolved += node.unsolved.length;
+      return;
+    }
+
+    nodes++;
+    if (node.answer) {
+      answers++;
+      totalDepth += depth;
+      maxDepth = Math.max(maxDepth, depth);
+      distribution[depth] = (distribution[depth] || 0) + 1;
+    }
+    Object.values(node.children).forEach((child) => visit(child, depth + 1));
+  };
+  visit(root, 1);
+
+  return {
+    answers,
+    maxDepth,
+    averageDepth: answers > 0 ? totalDepth / answers : 0,
+    distribution,
+    unsolved,
+    nodes,
+  };
+}
+
+/**
+ * Build a decision tree and wrap it with its settings and statistics, ready
+ * to be exported as JSON
+ * @param {Object} options - Tree settings (wordLength, opening, hardMode,
+ *   strategy, answers, guesses, maxDepth, onProgress)
+ * @returns {Object} - { version, settings, stats, root }
+ */
+function createDecisionTree(options) {
+  const {
+    wordLength,
+    opening = null,
+    hardMode = false,
+    strategy,
+    answers,
+    guesses,
+    maxDepth = MAX_DEPTH,
+    onProgress = null,
+  } = options;
+
+  const solver = new WordleSolver(wordLength, {
+    hardMode,
+    strategy,
+    answers,
+    guesses,
+  });
+  const root = buildDecisionTree(solver, { opening, maxDepth, onProgress });
+
+  return {
+    version: TREE_FORMAT_VERSION,
+    settings: {
+      wordLength,
+      opening: root.guess,
+      hardMode,
+      strategy: solver.strategy.name,
+      answers: answers || null,
+      guesses: guesses || null,
+    },
+    stats: summarizeTree(root),
+    root,
+  };
+}
+
+/**
+ * Load an exported decision tree
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} - The tree, as written by createDecisionTree
+ */
+function loadDecisionTree(filePath) {
+  let tree;
+  try {
+    tree = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Could not read decision tree ${filePath}: ${error.message}`
+    );
+  }
+  if (tree.version !== TREE_FORMAT_VERSION || !tree.root || !tree.settings) {
+    throw new Error(`${filePath} is not a decision tree file`);
+  }
+  return tree;
+}
+
+/**
+ * Format tree statistics as a human-readable report
+ */
+function formatTreeStats(tree) {
+  const { settings, stats } = tree;
+  const lines = [
+    `Decision tree for ${
+      settings.wordLength
+    }-letter words, opening with ${settings.opening.toUpperCase()} (${
+      settings.strategy
+    } strategy${settings.hardMode ? ", hard mode" : ""})`,
+    `Answers: ${stats.answers}${
+      stats.unsolved ? ` (+${stats.unsolved} unsolved)` : ""
+    }`,
+    `Max depth: ${stats.maxDepth}`,
+    `Average depth: ${stats.averageDepth.toFixed(3)}`,
+    `Nodes: ${stats.nodes}`,
+    "Guess distribution:",
+  ];
+  Object.entries(stats.distribution).forEach(([depth, count]) => {
+    lines.push(`  ${depth}: ${count}`);
+  });
+  return lines.join("\n");
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+  const options = { wordLength: 5 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--length":
+        options.wordLength = parseInt(next());
+        break;
+      case "--opening":
+        options.opening = next();
+        break;
+      case "--hard":
+        options.hardMode = true;
+        break;
+      case "--strategy":
+        options.strategy = next();
+        break;
+      case "--answers":
+        options.answers = next();
+        break;
+      case "--guesses":
+        options.guesses = next();
+        break;
+      case "--max-depth":
+        options.maxDepth = parseInt(next());
+        break;
+      case "--output":
+        options.output = next();
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (isNaN(options.wordLength)) {
+    throw new Error("--length must be a number");
+  }
+  if (options.maxDepth !== undefined && !(options.maxDepth > 0)) {
+    throw new Error("--max-depth must be a positive number");
+  }
+
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(
+      "Usage: node decisionTree.js [--length 5] [--opening slate] [--hard] " +
+        "[--strategy name] [--answers answers.txt] [--guesses guesses.txt] " +
+        "[--max-depth 20] [--output tree.json]"
+    );
+    process.exit(1);
+  }
+
+  let tree;
+  try {
+    tree = createDecisionTree({
+      ...options,
+      onProgress: (placed, total) => {
+        if (process.stderr.isTTY) {
+          process.stderr.write(`\rPlaced ${placed}/${total} answers`);
+          if (placed === total) process.stderr.write("\n");
+        }
+      },
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(formatTreeStats(tree));
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(tree));
+    console.log(`\nDecision tree written to ${options.output}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  buildDecisionTree,
+  summarizeTree,
+  createDecisionTree,
+  loadDecisionTree,
+  formatTreeStats,
+};
@@ -1,6 +1,6 @@
 const WordleSolver = require("./wordleSolver");
 
-const solver = new WordleSolver();
+const solver = new WordleSolver(5);
 
 // Example scenario:
 // Let's say we guessed "STARE" and got:
@@ -9,26 +9,21 @@ const solver = new WordleSolver();
 // - 'A' was yellow (in word but wrong position)
 // - 'R' was grey
 // - 'E' was green (correct position)
+//
+// Then we guessed "EERIE" and got:
+// - the last 'E' was green
+// - everything else was grey, so the word has exactly one 'E'
 
-const greenLetters = {
-  4: "e", // 'E' is in position 4 (0-based index)
-};
-
-const yellowLetters = {
-  2: ["a"], // 'A' was in position 2 but that's wrong
-};
-
-const greyLetters = ["s", "t", "r"];
+const history = [
+  { guess: "stare", feedback: "xxyxg" },
+  { guess: "eerie", feedback: "xxxxg" },
+];
 
 // Find possible words
-const possibleWords = solver.findPossibleWords(
-  greenLetters,
-  yellowLetters,
-  greyLetters
-);
+const possibleWords = solver.findPossibleWords(history);
 console.log("Possible words:", possibleWords);
 
-// Get a suggestion for the next guess
-const usedLetters = ["s", "t", "a", "r", "e"];
-const suggestion = solver.suggestGuess(possibleWords, usedLetters);
-console.log("Suggested next guess:", suggestion);
+// Get suggestions for the next guess
+const usedLetters = ["s", "t", "a", "r", "e", "i"];
+const suggestions = solver.suggestGuesses(possibleWords, usedLetters);
+console.log("Suggested next guesses:", suggestions);
@@ -0,0 +1,156 @@
+const WordConstraints = require("./constraints");
+
+/**
+ * Feedback models: what the game tells you about a guess.
+ *
+ * Every model is a summary of Wordle's per-tile feedback, so it is computed
+ * from the same pattern codes (see patternMatrix.js). Each model has:
+ * - name: identifier used to pick it (e.g. the CLI's --feedback flag)
+ * - description: one-line summary for help output
+ * - fromCounts(greens, yellows, wordLength): the feedback for a guess with
+ *   that many green and yellow tiles (counts-only models)
+ * - parse(input, wordLength): feedback as typed, in the model's canonical
+ *   string form. Throws if the input isn't valid.
+ * - matches(feedback): whether a canonical feedback string is this model's
+ * - describe(feedback): human-readable feedback
+ * - isSolved(feedback, wordLength): whether the feedback means the guess
+ *   was the answer
+ */
+
+const JOTTO_SOLVED = "solved";
+
+/**
+ * Wordle's colored tiles: "GYXXG"
+ */
+const tiles = {
+  name: "tiles",
+  description: "Green, yellow and grey tiles for every letter (Wordle)",
+  parse: (input, wordLength) =>
+    WordConstraints.normalizeFeedback(input, wordLength),
+  matches: (feedback) => /^[GYX]+$/i.test(feedback),
+  describe: (feedback) => feedback.toUpperCase(),
+  isSolved: (feedback, wordLength) =>
+    feedback.toUpperCase() === "G".repeat(wordLength),
+};
+
+/**
+ * Jotto: the number of letters the guess shares with the answer, wherever
+ * they are. Written as "3", or "solved" when the guess was the answer.
+ */
+const jotto = {
+  name: "jotto",
+  description: "The number of letters in common with the answer (Jotto)",
+  // Counts can't tell anagrams apart, so a win is reported on its own
+  fromCounts: (greens, yellows, wordLength) =>
+    greens === wordLength ? JOTTO_SOLVED : String(greens + yellows),
+  parse(input, wordLength) {
+    const text = String(input).trim();
+    if (/^(solved|won|win)$/i.test(text)) return JOTTO_SOLVED;
+    const match = text.match(/^(\d+)(?:\s*correct)?$/i);
+    const count = match ? parseInt(match[1]) : NaN;
+    if (!(count <= wordLength)) {
+      throw new Error(
+        `Feedback must be the number of letters in common, from 0 to ${wordLength}, or "solved"`
+      );
+    }
+    return String(count);
+  },
+  matches: (feedback) => feedback === JOTTO_SOLVED || /^\d+$/.test(feedback),
+  describe: (feedback) =>
+    feedback === JOTTO_SOLVED ? "solved" : `${feedback} correct`,
+  isSolved: (feedback) => feedback === JOTTO_SOLVED,
+};
+
+/**
+ * Word Mastermind: how many letters are in the right place and how many are
+ * in the word but elsewhere. Written as "2,1".
+ */
+const mastermind = {
+  name: "mastermind",
+  description:
+    "Counts of letters in the right place and in the wrong place (word Mastermind)",
+  fromCounts: (greens, yellows) => `${greens},${yellows}`,
+  parse(input, wordLength) {
+    const match = String(input)
+      .trim()
+      .match(/^(\d+)\D+(\d+)\D*$/);
+    const exact = match ? parseInt(match[1]) : NaN;
+    const misplaced = match ? parseInt(match[2]) : NaN;
+    if (!(exact + misplaced <= wordLength)) {
+      throw new Error(
+        `Feedback must be two numbers, exact and misplaced, adding up to at most ${wordLength} (e.g. "2 1")`
+      );
+    }
+    return `${exact},${misplaced}`;
+  },
+  matches: (feedback) => /^\d+,\d+$/.test(feedback),
+  describe(feedback) {
+    const [exact, misplaced] = feedback.split(",");
+    return `${exact} exact, ${misplaced} misplaced`;
+  },
+  isSolved: (feedback, wordLength) => feedback === `${wordLength},0`,
+};
+
+const FEEDBACK_MODELS = {
+  [tiles.name]: tiles,
+  [jotto.name]: jotto,
+  [mastermind.name]: mastermind,
+};
+
+const DEFAULT_FEEDBACK_MODEL = tiles.name;
+
+/**
+ * Look up a feedback model by name
+ * @param {string} name - Model name (see FEEDBACK_MODELS)
+ * @returns {Object} - The model
+ */
+function getFeedbackModel(name = DEFAULT_FEEDBACK_MODEL) {
+  const model = FEEDBACK_MODELS[name || DEFAULT_FEEDBACK_MODEL];
+  if (!model) {
+    throw new Error(
+      `Unknown feedback "${name}". Choose from: ${Object.keys(
+        FEEDBACK_MODELS
+      ).join(", ")}`
+    );
+  }
+  return model;
+}
+
+/**
+ * Turn a tile pattern code into a counts-only model's feedback
+ * @param {Object} model - A counts-only feedback model
+ * @param {number} code - Pattern code (see patternMatrix.js)
+ * @param {number} wordLength - Length of the words
+ * @returns {string} - The model's feedback, e.g. "2,1"
+ */
+function countFeedback(model, code, wordLength) {
+  let greens = 0;
+  let yellows = 0;
+  let rest = code;
+  for (let i = 0; i < wordLength; i++) {
+    if (rest % 3 === 2) greens++;
+    if (rest % 3 === 1) yellows++;
+    rest = Math.floor(rest / 3);
+  }
+  return model.fromCounts(greens, yellows, wordLength);
+}
+
+/**
+ * Describe feedback from any model, e.g. for listing a guess history
+ * @param {string} feedback - Canonical feedback string
+ * @returns {string} - Human-readable feedback
+ */
+function describeFeedback(feedback) {
+  const model = Object.values(FEEDBACK_MODELS).find((candidate) =>
+    candidate.matches(feedback)
+  );
+  return model ? model.describe(feedback) : feedback;
+}
+
+module.exports = {
+  FEEDBACK_MODELS,
+  DEFAULT_FEEDBACK_MODEL,
+  getFeedbackModel,
+  countFeedback,
+  describeFeedback,
+};
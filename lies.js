@@ -0,0 +1,85 @@
+const { encodeFeedback } = require("./patternMatrix");
+const WordConstraints = require("./constraints");
+
+/**
+ * Count the tiles where two pattern codes differ
+ */
+function countDifferences(a, b, wordLength) {
+  let count = 0;
+  for (let i = 0; i < wordLength; i++) {
+    if (a % 3 !== b % 3) count++;
+    a = Math.floor(a / 3);
+    b = Math.floor(b / 3);
+  }
+  return count;
+}
+
+/**
+ * Normalize the rows of a guess history
+ */
+function normalizeRows(solver, history) {
+  return history.map(({ guess, feedback }) => ({
+    guess: solver.normalizeWord(guess) || guess.toLowerCase(),
+    feedback: WordConstraints.normalizeFeedback(feedback, solver.wordLength),
+  }));
+}
+
+/**
+ * Find the answers that fit a history in which every row has exactly `lies`
+ * tiles showing the wrong color, as in Fibble. An all-green row is the game
+ * announcing a win, so it is taken as true.
+ * @param {WordleSolver} solver - Solver holding the answer list
+ * @param {Array} history - Array of { guess, feedback } pairs
+ * @param {number} lies - Wrong tiles in each row
+ * @returns {Array} - Answers that fit every row
+ */
+function findLyingCandidates(solver, history, lies) {
+  const solved = "G".repeat(solver.wordLength);
+  let candidates = solver.wordList;
+
+  normalizeRows(solver, history).forEach(({ guess, feedback }) => {
+    const shown = encodeFeedback(feedback);
+    const wrongTiles = feedback === solved ? 0 : lies;
+    const patterns = solver.getPatternMatrix().getPatterns(guess, candidates);
+    candidates = candidates.filter(
+      (word, i) =>
+        countDifferences(patterns[i], shown, solver.wordLength) === wrongTiles
+    );
+  });
+  return candidates;
+}
+
+/**
+ * Work out how likely each tile of each row is to be a lie, given the
+ * answers that are still possible (weighted by the word prior)
+ * @param {WordleSolver} solver - Solver holding the word prior
+ * @param {Array} history - Array of { guess, feedback } pairs
+ * @param {Array} possibleWords - Answers that fit the history
+ * @returns {Array} - { guess, feedback, chances } per row, where chances
+ *   holds each tile's chance of being a lie
+ */
+function getLieChances(solver, history, possibleWords) {
+  const weights =
+    solver.getPriorWeights(possibleWords) || possibleWords.map(() => 1);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return normalizeRows(solver, history).map(({ guess, feedback }) => {
+    const shown = encodeFeedback(feedback);
+    const chances = Array(solver.wordLength).fill(0);
+    solver
+      .getPatternMatrix()
+      .getPatterns(guess, possibleWords)
+      .forEach((pattern, w) => {
+        let truth = pattern;
+        let lie = shown;
+        for (let i = 0; i < solver.wordLength; i++) {
+          if (truth % 3 !== lie % 3) chances[i] += weights[w] / total;
+          truth = Math.floor(truth / 3);
+          lie = Math.floor(lie / 3);
+        }
+      });
+    return { guess, feedback, chances };
+  });
+}
+
+module.exports = { findLyingCandidates, getLieChances };
@@ -0,0 +1,157 @@
+const path = require("path");
+const { DATA_DIR } = require("./session");
+
+// Word lists for locales other than English, named <code>.txt
+const DICTIONARY_DIR = path.join(DATA_DIR, "dictionaries");
+const LATIN_ALPHABET = "abcdefghijklmnopqrstuvwxyz";
+
+/**
+ * Built-in locales. Each has:
+ * - name: language name for messages
+ * - alphabet: the letters words are made of. Letters in the alphabet are
+ *   always distinct, so "ñ" never matches "n" in Spanish.
+ * - fold: letters to replace before checking the alphabet (e.g. "ß" -> "ss")
+ * - foldAccents: whether other accented letters lose their accents ("é" ->
+ *   "e"), as most Wordle clones for these languages do. Without it, words
+ *   with letters outside the alphabet are skipped.
+ * - dictionary: default word list file (null for the bundled English list)
+ */
+const LOCALES = {
+  en: {
+    name: "English",
+    alphabet: LATIN_ALPHABET,
+    fold: {},
+    foldAccents: false,
+    dictionary: null,
+  },
+  es: {
+    name: "Spanish",
+    alphabet: "abcdefghijklmnñopqrstuvwxyz",
+    fold: {},
+    foldAccents: true,
+    dictionary: path.join(DICTIONARY_DIR, "es.txt"),
+  },
+  de: {
+    name: "German",
+    alphabet: `${LATIN_ALPHABET}äöü`,
+    fold: { ß: "ss" },
+    foldAccents: true,
+    dictionary: path.join(DICTIONARY_DIR, "de.txt"),
+  },
+  fr: {
+    name: "French",
+    alphabet: LATIN_ALPHABET,
+    fold: { œ: "oe", æ: "ae" },
+    foldAccents: true,
+    dictionary: path.join(DICTIONARY_DIR, "fr.txt"),
+  },
+  pt: {
+    name: "Portuguese",
+    alphabet: LATIN_ALPHABET,
+    fold: {},
+    foldAccents: true,
+    dictionary: path.join(DICTIONARY_DIR, "pt.txt"),
+  },
+};
+
+const DEFAULT_LOCALE = "en";
+
+// Resolved locales, so each letter set is only built once
+const resolvedByCode = new Map();
+const resolvedObjects = new WeakMap();
+
+/**
+ * Fill in a locale's defaults and build its letter set
+ */
+function buildLocale(definition) {
+  if (typeof definition.alphabet !== "string" || definition.alphabet === "") {
+    throw new Error("A locale needs an alphabet of letters");
+  }
+  const locale = {
+    code: definition.code || "custom",
+    name: definition.name || "Custom",
+    alphabet: definition.alphabet.normalize("NFC").toLowerCase(),
+    fold: definition.fold || {},
+    foldAccents: Boolean(definition.foldAccents),
+    dictionary: definition.dictionary || null,
+  };
+  locale.letters = new Set(locale.alphabet);
+  // Identifies the letter rules, e.g. for caching parsed word lists
+  locale.key = JSON.stringify([
+    locale.code,
+    locale.alphabet,
+    locale.fold,
+    locale.foldAccents,
+  ]);
+  return locale;
+}
+
+/**
+ * Look up a locale by code, or validate a custom locale object
+ * @param {string|Object} locale - Locale code (e.g. "es") or an object with
+ *   an alphabet and optionally fold, foldAccents and dictionary
+ * @returns {Object} - The locale, with defaults filled in, a letters Set
+ *   and a key identifying its rules
+ */
+function getLocale(locale = DEFAULT_LOCALE) {
+  if (locale === null || typeof locale === "string") {
+    const code = (locale || DEFAULT_LOCALE).toLowerCase();
+    if (!LOCALES[code]) {
+      throw new Error(
+        `Unknown locale "${locale}". Available locales: ${Object.keys(
+          LOCALES
+        ).join(", ")}`
+      );
+    }
+    if (!resolvedByCode.has(code)) {
+      resolvedByCode.set(code, buildLocale({ code, ...LOCALES[code] }));
+    }
+    return resolvedByCode.get(code);
+  }
+
+  if (locale.letters instanceof Set) {
+    return locale;
+  }
+  if (!resolvedObjects.has(locale)) {
+    resolvedObjects.set(locale, buildLocale(locale));
+  }
+  return resolvedObjects.get(locale);
+}
+
+/**
+ * Put a word into the form the solver compares: lower case, with the
+ * locale's folding rules applied
+ * @param {string} word - Word as typed or read from a word list
+ * @param {string|Object} locale - Locale code or object (see getLocale)
+ * @returns {string|null} - The normalized word, or null if it has letters
+ *   outside the locale's alphabet
+ */
+function normalizeWord(word, locale) {
+  const { letters, fold, foldAccents } = getLocale(locale);
+  let normalized = "";
+
+  // NFC joins letters typed as a base letter plus a combining accent
+  for (const char of String(word).trim().normalize("NFC").toLowerCase()) {
+    if (letters.has(char)) {
+      normalized += char;
+    } else if (fold[char] !== undefined) {
+      normalized += fold[char];
+    } else {
+      const base = foldAccents
+        ? char.normalize("NFD").replace(/\p{M}/gu, "")
+        : null;
+      if (!base || !letters.has(base)) return null;
+      normalized += base;
+    }
+  }
+
+  return normalized || null;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  DICTIONARY_DIR,
+  getLocale,
+  normalizeWord,
+};
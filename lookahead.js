@@ -0,0 +1,289 @@
+const DEFAULT_LOOKAHEAD = {
+  // Guesses searched before estimating the rest (2 = this guess and the next)
+  depth: 2,
+  // Candidate guesses tried in each position, best by the strategy first
+  beam: 10,
+  // Milliseconds before the search stops and keeps what it has checked
+  timeBudget: 5000,
+  // "guesses" minimizes the expected number of guesses, "limit" the chance
+  // of needing more than maxGuesses
+  objective: "guesses",
+  maxGuesses: 6,
+};
+const OBJECTIVES = ["guesses", "limit"];
+// Roughly the information a good guess reveals, used to estimate how many
+// guesses a position beyond the search depth still needs
+const LEAF_BITS_PER_GUESS = 5;
+// Guesses, besides their possible answers, that later positions choose from:
+// the strategy's best for the position being searched
+const PROBE_POOL_SIZE = 200;
+
+/**
+ * Thrown inside the search when the time budget runs out
+ */
+class SearchTimeout extends Error {}
+
+/**
+ * Fill in and check lookahead settings
+ * @param {Object|boolean} options - Settings (see DEFAULT_LOOKAHEAD), or
+ *   true for the defaults
+ * @returns {Object|null} - Complete settings, or null if lookahead is off
+ */
+function resolveLookahead(options) {
+  if (!options) return null;
+  const settings = {
+    ...DEFAULT_LOOKAHEAD,
+    ...(options === true ? {} : options),
+  };
+  if (!Number.isInteger(settings.depth) || settings.depth < 1) {
+    throw new Error("Lookahead depth must be at least 1");
+  }
+  if (!Number.isInteger(settings.beam) || settings.beam < 1) {
+    throw new Error("Lookahead beam width must be at least 1");
+  }
+  if (settings.timeBudget !== null && !(settings.timeBudget > 0)) {
+    throw new Error("Lookahead time budget must be a positive number");
+  }
+  if (!OBJECTIVES.includes(settings.objective)) {
+    throw new Error(
+      `Unknown lookahead objective "${
+        settings.objective
+      }". Choose from: ${OBJECTIVES.join(", ")}`
+    );
+  }
+  if (!Number.isInteger(settings.maxGuesses) || settings.maxGuesses < 1) {
+    throw new Error("The guess limit must be at least 1");
+  }
+  return settings;
+}
+
+/**
+ * Depth-limited search over the strategy's best few guesses in every
+ * position. Each position is valued by the expected number of guesses still
+ * needed and the chance of needing more than the guess limit, assuming the
+ * best guess (by the objective) is played in every later position.
+ */
+class LookaheadSearch {
+  /**
+   * @param {WordleSolver} solver - Solver whose strategy orders the beam
+   * @param {Object} settings - Resolved lookahead settings
+   */
+  constructor(solver, settings) {
+    this.solver = solver;
+    this.settings = settings;
+    this.deadline =
+      settings.timeBudget === null
+        ? Infinity
+        : Date.now() + settings.timeBudget;
+
+    const priorWeights = solver.getPriorWeights(solver.wordList);
+    this.weights = priorWeights
+      ? new Map(solver.wordList.map((word, i) => [word, priorWeights[i]]))
+      : null;
+  }
+
+  /**
+   * Rank the candidate guesses for a position
+   * @param {Array} possibleWords - Possible answers
+   * @param {Array} history - Array of { guess, feedback } pairs so far
+   * @returns {Object} - { guesses, checked, beam, complete, fallback }:
+   *   guesses holds { word, expectedGuesses, failChance } for every
+   *   candidate checked before the time ran out, best first, where
+   *   expectedGuesses counts the guesses already made. fallback is true if
+   *   no candidate could be checked in time.
+   */
+  search(possibleWords, history = []) {
+    const solver = this.solver;
+    const usedLetters = solver.getUsedLetters(history);
+    const remaining = this.settings.maxGuesses - history.length;
+    const { solutionWords, informationWords } = solver.getCandidateGuesses(
+      possibleWords,
+      usedLetters,
+      history
+    );
+    const ranked = this.rank(
+      possibleWords,
+      Array.from(new Set([...solutionWords, ...informationWords])),
+      usedLetters
+    );
+    const beam = ranked.slice(0, this.settings.beam);
+    // Ranking the whole dictionary again in every later position would be
+    // far too slow
+    this.probes = ranked.slice(0, PROBE_POOL_SIZE);
+
+    const results = [];
+    let complete = true;
+    try {
+      for (const word of beam) {
+        results.push({
+          word,
+          ...this.evaluate(
+            word,
+            possibleWords,
+            this.settings.depth,
+            remaining,
+            history
+          ),
+        });
+      }
+    } catch (error) {
+      if (!(error instanceof SearchTimeout)) throw error;
+      complete = false;
+    }
+
+    results.sort((a, b) => this.compare(a, b));
+    return {
+      guesses: results.map(({ word, expected, fail }) => ({
+        word,
+        expectedGuesses: history.length + expected,
+        failChance: fail,
+      })),
+      checked: results.length,
+      beam: beam.length,
+      complete,
+      fallback: results.length === 0,
+    };
+  }
+
+  /**
+   * Estimate the guesses needed to finish after playing a guess, without
+   * searching past it
+   * @param {string} guess - The word to guess
+   * @param {Array} possibleWords - Possible answers
+   * @returns {number} - Expected guesses, counting this one
+   */
+  estimateGuesses(guess, possibleWords) {
+    return this.evaluate(guess, possibleWords, 1, Infinity, []).expected;
+  }
+
+  /**
+   * Order two values by the objective, best first
+   */
+  compare(a, b) {
+    return this.settings.objective === "limit"
+      ? a.fail - b.fail || a.expected - b.expected
+      : a.expected - b.expected || a.fail - b.fail;
+  }
+
+  /**
+   * Order candidate guesses for a position by the strategy
+   */
+  rank(possibleWords, candidates, usedLetters) {
+    const ranked = this.solver
+      .rankGuesses(candidates, { possibleWords, usedLetters }, "information")
+      .map(({ word }) => word);
+    return ranked.length > 0 ? ranked : possibleWords;
+  }
+
+  /**
+   * Value of a position when the best guess in the beam is played
+   * @param {Array} words - Possible answers
+   * @param {number} depth - Guesses still to search, including this one
+   * @param {number} remaining - Guesses left before the limit
+   * @param {Array} history - Guesses and feedback on the way here
+   * @returns {Object} - { expected, fail }: expected guesses still needed
+   *   and the chance of needing more than remaining
+   */
+  solve(words, depth, remaining, history) {
+    if (words.length <= 2 || depth === 0 || remaining <= 0) {
+      return this.estimate(words, remaining);
+    }
+
+    let candidates = Array.from(new Set([...words, ...this.probes]));
+    // The probes were picked for the root position, before this line's hints
+    if (this.solver.hardMode) {
+      candidates = this.solver.filterHardModeGuesses(candidates, history);
+    }
+    const beam = this.rank(
+      words,
+      candidates,
+      this.solver.getUsedLetters(history)
+    ).slice(0, this.settings.beam);
+    let best = null;
+    for (const guess of beam) {
+      // A single wide position can take a while, so check between guesses
+      if (Date.now() > this.deadline) {
+        throw new SearchTimeout();
+      }
+      const value = this.evaluate(guess, words, depth, remaining, history);
+      if (!best || this.compare(value, best) < 0) best = value;
+    }
+    return best;
+  }
+
+  /**
+   * Value of playing a guess now and the best guesses after it
+   */
+  evaluate(guess, words, depth, remaining, history) {
+    const total = this.sumWeights(words);
+    let expected = 1;
+    let fail = remaining <= 0 ? 1 : 0;
+
+    for (const bucket of this.solver.groupByFeedback(guess, words).values()) {
+      // Guessing the answer ends the game
+      const rest = bucket.filter((word) => word !== guess);
+      if (rest.length === 0) continue;
+
+      const chance = this.sumWeights(rest) / total;
+      // Every word in the bucket gets the same feedback
+      const feedback = this.solver.getFeedback(guess, rest[0]);
+      const next = this.solve(rest, depth - 1, remaining - 1, [
+        ...history,
+        { guess, feedback },
+      ]);
+      expected += chance * next.expected;
+      if (remaining > 0) fail += chance * next.fail;
+    }
+    return { expected, fail };
+  }
+
+  /**
+   * Value of a position without searching: exact for one or two words,
+   * otherwise a rough estimate from the number of words left
+   */
+  estimate(words, remaining) {
+    const weights = words.map((word) => this.getWeight(word));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const likeliest = Math.max(...weights) / total;
+
+    let expected;
+    if (words.length === 1) {
+      expected = 1;
+    } else if (words.length === 2) {
+      expected = 2 - likeliest;
+    } else {
+      const n = words.length;
+      expected = 1 + ((n - 1) / n) * (1 + Math.log2(n) / LEAF_BITS_PER_GUESS);
+    }
+
+    let fail;
+    if (remaining <= 0) {
+      fail = 1;
+    } else if (words.length <= remaining) {
+      // Guessing the words one by one always works
+      fail = 0;
+    } else if (remaining === 1) {
+      fail = 1 - likeliest;
+    } else {
+      fail = Math.min(1, Math.max(0, expected - remaining));
+    }
+    return { expected, fail };
+  }
+
+  getWeight(word) {
+    return this.weights ? this.weights.get(word) || 1 : 1;
+  }
+
+  sumWeights(words) {
+    let sum = 0;
+    for (const word of words) sum += this.getWeight(word);
+    return sum;
+  }
+}
+
+module.exports = {
+  DEFAULT_LOOKAHEAD,
+  OBJECTIVES,
+  resolveLookahead,
+  LookaheadSearch,
+};
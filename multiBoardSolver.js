@@ -0,0 +1,307 @@
+const WordleSolver = require("./wordleSolver");
+const WordConstraints = require("./constraints");
+
+/**
+ * Solver for multi-board variants (Dordle, Quordle, Octordle) where every
+ * guess is scored against several hidden words at once.
+ *
+ * Each board keeps its own guess history and candidate set. Feedback is
+ * only recorded for boards that are still unsolved, matching how those
+ * games stop scoring a board once its word has been found.
+ */
+class MultiBoardSolver {
+  /**
+   * @param {number} wordLength - Length of the words to solve
+   * @param {number} boardCount - Number of hidden words (e.g. 2, 4 or 8)
+   * @param {Object} options - Options passed to each board's WordleSolver
+   */
+  constructor(wordLength, boardCount, options = {}) {
+    if (!Number.isInteger(boardCount) || boardCount < 1) {
+      throw new Error("Board count must be a positive whole number");
+    }
+
+    this.wordLength = wordLength;
+    this.solver = new WordleSolver(wordLength, options);
+    this.guesses = [];
+    this.boards = Array.from({ length: boardCount }, () => ({
+      history: [],
+      solvedWith: null,
+      possibleWords: this.solver.wordList,
+      // Chance of each possible word, worked out when first needed
+      chances: null,
+    }));
+
+    // Cap on how many information guesses get a full partition pass
+    this.maxScoredCandidates = 200;
+  }
+
+  /**
+   * Get the indexes of boards that have not been solved yet
+   * @returns {Array} - Board indexes (0-based)
+   */
+  getUnsolvedBoards() {
+    return this.boards
+      .map((board, index) => (board.solvedWith ? null : index))
+      .filter((index) => index !== null);
+  }
+
+  /**
+   * Check whether every board has been solved
+   */
+  isSolved() {
+    return this.getUnsolvedBoards().length === 0;
+  }
+
+  /**
+   * Record a guess and the feedback it received on every board
+   * @param {string} guess - The guessed word
+   * @param {Array} feedbacks - One g/y/x feedback string per board. Entries
+   *   for boards that are already solved are ignored and may be null.
+   */
+  addGuess(guess, feedbacks) {
+    const word = this.solver.normalizeWord(guess);
+    if (!word || word.length !== this.wordLength) {
+      throw new Error(`Guess must be exactly ${this.wordLength} letters long`);
+    }
+    if (!Array.isArray(feedbacks) || feedbacks.length !== this.boards.length) {
+      throw new Error(`Expected feedback for ${this.boards.length} boards`);
+    }
+
+    // Validate everything before changing any board
+    const unsolved = this.getUnsolvedBoards();
+    const normalized = unsolved.map((index) => {
+      try {
+        return WordConstraints.normalizeFeedback(
+          feedbacks[index],
+          this.wordLength
+        );
+      } catch (error) {
+        throw new Error(`Board ${index + 1}: ${error.message}`);
+      }
+    });
+
+    this.guesses.push(word);
+    unsolved.forEach((index, i) => {
+      const board = this.boards[index];
+      const feedback = normalized[i];
+      board.history.push({ guess: word, feedback });
+      board.possibleWords = this.solver.findPossibleWords(board.history);
+      board.chances = null;
+      if (feedback === "G".repeat(this.wordLength)) {
+        board.solvedWith = word;
+      }
+    });
+  }
+
+  /**
+   * Take back the last guess on every board it was recorded on
+   * @returns {string|null} - The guess removed, or null if there was none
+   */
+  undoGuess() {
+    if (this.guesses.length === 0) return null;
+    const turns = this.guesses.length;
+    const word = this.guesses.pop();
+    this.boards.forEach((board) => {
+      // Boards solved earlier never got this guess
+      if (board.history.length !== turns) return;
+      board.history.pop();
+      board.possibleWords = this.solver.findPossibleWords(board.history);
+      board.chances = null;
+      board.solvedWith = null;
+    });
+    return word;
+  }
+
+  /**
+   * Check a guess against the hard-mode rules of every unsolved board
+   * @param {string} guess - The word to check
+   * @returns {string|null} - The rule the guess breaks (naming the board),
+   *   or null if it is legal or hard mode is off
+   */
+  getHardModeViolation(guess) {
+    if (!this.solver.hardMode) return null;
+    for (const index of this.getUnsolvedBoards()) {
+      const violation = this.solver.getHardModeViolation(
+        guess,
+        this.boards[index].history
+      );
+      if (violation) return `Board ${index + 1}: ${violation}`;
+    }
+    return null;
+  }
+
+  /**
+   * Keep only the words that are legal hard-mode guesses on every unsolved
+   * board (all of them when hard mode is off)
+   */
+  filterHardModeGuesses(words) {
+    if (!this.solver.hardMode) return words;
+    return this.getUnsolvedBoards().reduce(
+      (legal, index) =>
+        this.solver.filterHardModeGuesses(legal, this.boards[index].history),
+      words
+    );
+  }
+
+  /**
+   * Summarize every board for display
+   * @returns {Array} - Array of { index, solved, answer, possibleWords }
+   */
+  getBoardStates() {
+    return this.boards.map((board, index) => ({
+      index,
+      solved: Boolean(board.solvedWith),
+      answer: board.solvedWith,
+      possibleWords: board.solvedWith
+        ? [board.solvedWith]
+        : board.possibleWords,
+    }));
+  }
+
+  /**
+   * Combined information (in bits) a guess gives across unsolved boards.
+   * Boards are independent, so the entropy of each board's partition adds up.
+   * @param {string} guess - The word to score
+   * @param {Array} boards - Boards to score against (defaults to unsolved)
+   * @returns {number} - Total expected information in bits
+   */
+  calculateCombinedScore(guess, boards = this.getUnsolvedBoards()) {
+    return boards.reduce(
+      (total, index) =>
+        total +
+        this.solver.calculatePartitionScore(
+          guess,
+          this.boards[index].possibleWords
+        ),
+      0
+    );
+  }
+
+  /**
+   * Expected number of boards a guess solves outright, i.e. the sum of the
+   * chance that it is the answer on each unsolved board. Chances use the
+   * word prior when the solver has a frequency table.
+   */
+  calculateSolveChance(guess, boards = this.getUnsolvedBoards()) {
+    return boards.reduce((total, index) => {
+      const board = this.boards[index];
+      if (!board.chances) {
+        board.chances = this.solver.getPriors(board.possibleWords);
+      }
+      return total + (board.chances.get(guess) || 0);
+    }, 0);
+  }
+
+  /**
+   * Suggest guesses for the next turn
+   * @param {number} numSuggestions - Number of suggestions to return
+   * @returns {Object} - Object containing finishing guesses (words that are
+   *   the only candidate left on a board) and information guesses
+   */
+  suggestGuesses(numSuggestions = 5) {
+    const unsolved = this.getUnsolvedBoards();
+    if (unsolved.length === 0) {
+      return { finishingGuesses: [], informationGuesses: [] };
+    }
+
+    // Before the first guess every board is identical, so rescore the
+    // single-board openers instead of searching the whole dictionary
+    if (this.guesses.length === 0) {
+      const { informationGuesses } = this.solver.getInitialGuesses();
+      return {
+        finishingGuesses: [],
+        informationGuesses: informationGuesses
+          .map(({ word }) => this.scoreGuess(word, unsolved, "information"))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, numSuggestions),
+      };
+    }
+
+    // Boards pinned down to a single word should be finished first; order
+    // them by how much the guess also tells us about the other boards
+    const pinnedWords = new Set();
+    unsolved.forEach((index) => {
+      const { possibleWords } = this.boards[index];
+      if (possibleWords.length === 1) {
+        pinnedWords.add(possibleWords[0]);
+      }
+    });
+    const finishingGuesses = this.filterHardModeGuesses([...pinnedWords])
+      .map((word) => this.scoreGuess(word, unsolved, "finishing"))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, numSuggestions);
+
+    // Only boards with more than one candidate still need information
+    const openBoards = unsolved.filter(
+      (index) => this.boards[index].possibleWords.length > 1
+    );
+    let informationGuesses = [];
+    if (openBoards.length > 0) {
+      informationGuesses = this.selectCandidates(openBoards)
+        .map((word) => this.scoreGuess(word, unsolved, "information"))
+        // Solving a board outright saves a whole guess, so count each
+        // expected solve as one extra bit
+        .sort((a, b) => b.score + b.solveChance - (a.score + a.solveChance))
+        .slice(0, numSuggestions);
+    }
+
+    return { finishingGuesses, informationGuesses };
+  }
+
+  /**
+   * Score a single guess across a set of boards
+   */
+  scoreGuess(word, boards, type) {
+    return {
+      word,
+      score: this.calculateCombinedScore(word, boards),
+      solveChance: this.calculateSolveChance(word, boards),
+      type,
+    };
+  }
+
+  /**
+   * Select candidate words worth a full partition pass: the solver's
+   * information candidates for the words still possible on open boards,
+   * trimmed to the most promising ones by unused letter frequency
+   */
+  selectCandidates(openBoards) {
+    const union = new Set();
+    openBoards.forEach((index) =>
+      this.boards[index].possibleWords.forEach((word) => union.add(word))
+    );
+    const unionWords = Array.from(union);
+
+    const usedLetters = new Set();
+    this.guesses.forEach((guess) =>
+      guess.split("").forEach((letter) => usedLetters.add(letter))
+    );
+
+    const candidates = this.filterHardModeGuesses(
+      this.solver.selectInformationGuessCandidates(
+        unionWords,
+        Array.from(usedLetters)
+      )
+    );
+    if (candidates.length <= this.maxScoredCandidates) {
+      return candidates;
+    }
+
+    const letterFreq = this.solver.calculateLetterFrequency(unionWords);
+    return candidates
+      .map((word) => {
+        let score = 0;
+        for (const letter of new Set(word.split(""))) {
+          if (letterFreq[letter] && !usedLetters.has(letter)) {
+            score += letterFreq[letter].total;
+          }
+        }
+        return { word, score };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxScoredCandidates)
+      .map(({ word }) => word);
+  }
+}
+
+module.exports = MultiBoardSolver;
@@ -0,0 +1,261 @@
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { strategies } = require("./strategies");
+
+const WORKER_PATH = path.join(__dirname, "scoringWorker.js");
+// Leave a core free for the CLI
+const DEFAULT_WORKERS = Math.max(1, os.cpus().length - 1);
+// Candidates scored per message, which is also how often progress is reported
+const CHUNK_SIZE = 100;
+// Guess/answer pairs below which starting workers costs more than it saves
+const MIN_WORKER_PAIRS = 2000000;
+
+/**
+ * A worker thread with its own copy of the solver, scoring one chunk of
+ * candidates at a time
+ */
+class ScoringWorker {
+  /**
+   * @param {Object} workerData - { wordLength, options, weight, patterns }
+   *   used to rebuild the solver (see scoringWorker.js)
+   * @param {Object} context - { possibleWords, usedLetters } to rank against
+   */
+  constructor(workerData, context) {
+    this.worker = new Worker(WORKER_PATH, { workerData });
+    this.pending = null;
+
+    this.worker.on("message", ({ ranked, error }) => {
+      const pending = this.pending;
+      this.pending = null;
+      if (!pending) return;
+      if (error) {
+        pending.reject(new Error(error));
+      } else {
+        pending.resolve(ranked);
+      }
+    });
+    this.worker.on("error", (error) => this.fail(error));
+    this.worker.on("exit", (code) =>
+      this.fail(new Error(`Scoring worker stopped with exit code ${code}`))
+    );
+    this.worker.postMessage({ context });
+  }
+
+  /**
+   * Rank a chunk of candidates
+   * @param {Object} job - { type, words, limit }
+   * @returns {Promise<Array>} - The best limit suggestions of the chunk
+   */
+  score(job) {
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+      this.worker.postMessage({ job });
+    });
+  }
+
+  /**
+   * Reject the chunk being scored
+   */
+  fail(error) {
+    const pending = this.pending;
+    this.pending = null;
+    if (pending) pending.reject(error);
+  }
+
+  terminate() {
+    this.pending = null;
+    this.worker.terminate();
+  }
+}
+
+/**
+ * Score chunks on the calling thread, yielding between chunks so progress
+ * callbacks and the time budget still run
+ */
+function createInlineScorer(solver, context) {
+  return {
+    score: async ({ type, words, limit }) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      return solver.rankGuesses(words, context, type).slice(0, limit);
+    },
+    terminate: () => {},
+  };
+}
+
+/**
+ * Check whether a worker can rebuild the solver: custom strategy objects
+ * hold functions, which can't be sent to another thread
+ */
+function canUseWorkers(solver) {
+  return strategies[solver.strategy.name] === solver.strategy;
+}
+
+/**
+ * Order suggestions the way rankGuesses does, using each word's position in
+ * the candidate list to break ties, so the merged result doesn't depend on
+ * which chunk finished first
+ */
+function compareSuggestions(solver, type, possible) {
+  const strategy = solver.strategy;
+  const direction = strategy.higherIsBetter ? -1 : 1;
+  const byPrior = type === "solution" && solver.hasPriors();
+  return (a, b) =>
+    (byPrior ? b.probability - a.probability : 0) ||
+    direction * (a.score - b.score) ||
+    (strategy.rank
+      ? 0
+      : Number(possible.has(b.word)) - Number(possible.has(a.word))) ||
+    a.index - b.index;
+}
+
+/**
+ * Suggest guesses like WordleSolver.suggestGuesses, scoring the candidates
+ * in chunks across worker threads
+ * @param {WordleSolver} solver - Solver whose strategy ranks the guesses
+ * @param {Array} possibleWords - List of possible words
+ * @param {Array} usedLetters - Letters that have been guessed already
+ * @param {number} numSuggestions - Number of suggestions to return
+ * @param {Array} history - Array of { guess, feedback } pairs
+ * @param {Object} options - Scoring options
+ * @param {number} options.workers - Worker threads to use (defaults to one
+ *   less than the number of CPUs). 0 scores on the calling thread.
+ * @param {number|null} options.timeBudget - Milliseconds to spend before
+ *   returning the best suggestions found so far
+ * @param {Function} options.onUpdate - Called with the best { solutionGuesses,
+ *   informationGuesses } so far after each chunk
+ * @param {Function} options.onProgress - Called with (scored, total) after
+ *   each chunk, following onUpdate
+ * @returns {Promise<Object>} - { solutionGuesses, informationGuesses, scored,
+ *   total, complete }, where complete is false if the time budget ran out
+ *   before every candidate was scored
+ */
+async function suggestGuessesInParallel(
+  solver,
+  possibleWords,
+  usedLetters = [],
+  numSuggestions = 5,
+  history = [],
+  options = {}
+) {
+  const {
+    workers = DEFAULT_WORKERS,
+    timeBudget = null,
+    onProgress = null,
+    onUpdate = null,
+  } = options;
+  const { solutionWords, informationWords } = solver.getCandidateGuesses(
+    possibleWords,
+    usedLetters,
+    history
+  );
+  const context = { possibleWords, usedLetters };
+  const possible = new Set(possibleWords);
+
+  // A custom rank() may compare the candidates with each other, so it gets
+  // every candidate at once
+  const chunkSize =
+    solver.strategy.rank && !canUseWorkers(solver) ? Infinity : CHUNK_SIZE;
+  // Alternate between the two lists, so both have suggestions if the time
+  // budget runs out
+  const jobs = [];
+  const longest = Math.max(solutionWords.length, informationWords.length);
+  for (let start = 0; start < longest; start += chunkSize) {
+    for (const [type, words] of [
+      ["solution", solutionWords],
+      ["information", informationWords],
+    ]) {
+      if (start < words.length) {
+        jobs.push({
+          type,
+          start,
+          words: words.slice(start, start + chunkSize),
+          limit: numSuggestions,
+        });
+      }
+    }
+  }
+
+  const total = solutionWords.length + informationWords.length;
+  const best = { solution: [], information: [] };
+  const snapshot = () => ({
+    solutionGuesses: best.solution.map(
+      ({ index, ...suggestion }) => suggestion
+    ),
+    informationGuesses: best.information.map(
+      ({ index, ...suggestion }) => suggestion
+    ),
+  });
+
+  const workerCount = Math.min(workers, jobs.length);
+  let scorers;
+  if (
+    workerCount > 0 &&
+    canUseWorkers(solver) &&
+    total * possibleWords.length >= MIN_WORKER_PAIRS
+  ) {
+    // Workers share the pattern matrix instead of building their own
+    const matrix = solver.getPatternMatrix();
+    const workerData = {
+      wordLength: solver.wordLength,
+      options: { ...solver.options, strategy: solver.strategy.name },
+      weight: solver.weight,
+      patterns: matrix.ensureBuilt() ? matrix.data : null,
+    };
+    scorers = Array.from(
+      { length: workerCount },
+      () => new ScoringWorker(workerData, context)
+    );
+  } else {
+    scorers = [createInlineScorer(solver, context)];
+  }
+
+  let scored = 0;
+  let nextJob = 0;
+  let finished = false;
+  const run = async (scorer) => {
+    while (nextJob < jobs.length && !finished) {
+      const job = jobs[nextJob++];
+      const ranked = await scorer.score(job);
+      if (finished) return;
+
+      const positions = new Map(job.words.map((word, i) => [word, i]));
+      const compare = compareSuggestions(solver, job.type, possible);
+      best[job.type] = best[job.type]
+        .concat(
+          ranked.map((suggestion) => ({
+            ...suggestion,
+            index: job.start + positions.get(suggestion.word),
+          }))
+        )
+        .sort(compare)
+        .slice(0, numSuggestions);
+
+      scored += job.words.length;
+      if (onUpdate) onUpdate(snapshot());
+      if (onProgress) onProgress(scored, total);
+    }
+  };
+
+  let timer = null;
+  const scoring = Promise.all(scorers.map(run));
+  // A chunk that fails after the time budget ran out is no longer awaited
+  scoring.catch(() => {});
+  const waits = [scoring];
+  if (timeBudget !== null) {
+    waits.push(
+      new Promise((resolve) => (timer = setTimeout(resolve, timeBudget)))
+    );
+  }
+  try {
+    await Promise.race(waits);
+  } finally {
+    finished = true;
+    clearTimeout(timer);
+    scorers.forEach((scorer) => scorer.terminate());
+  }
+
+  return { ...snapshot(), scored, total, complete: scored === total };
+}
+
+module.exports = { DEFAULT_WORKERS, suggestGuessesInParallel };
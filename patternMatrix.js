@@ -0,0 +1,531 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR } = require("./session");
+
+const FORMAT_VERSION = 1;
+const MAGIC = "WSPM";
+const DEFAULT_CACHE_DIR = path.join(DATA_DIR, "cache");
+// Largest matrix (guesses x answers) worth building; bigger dictionaries
+// compute rows as they are needed instead
+const DEFAULT_MAX_CELLS = 200000000;
+// Memory kept for rows computed on demand when the full matrix is too big
+const DEFAULT_ROW_CACHE_BYTES = 256 * 1024 * 1024;
+// A row is only worth computing when a lookup covers at least this share
+// of the answers; smaller lookups compute their few patterns directly
+const ROW_FILL_SHARE = 0.25;
+// Cached matrices kept on disk, most recently used first
+const MAX_CACHED_MATRICES = 4;
+
+// Feedback digits: each position contributes digit * 3^position
+const PATTERN_DIGITS = { X: 0, Y: 1, G: 2 };
+const PATTERN_LETTERS = ["X", "Y", "G"];
+
+/**
+ * Turn a feedback string (g/y/x in any case) into its integer pattern code
+ * @param {string} feedback - Feedback such as "GYXXG"
+ * @returns {number} - Pattern code
+ */
+function encodeFeedback(feedback) {
+  const colors = feedback.toUpperCase();
+  let code = 0;
+  let power = 1;
+  for (let i = 0; i < colors.length; i++) {
+    code += PATTERN_DIGITS[colors[i]] * power;
+    power *= 3;
+  }
+  return code;
+}
+
+/**
+ * Turn an integer pattern code back into a feedback string
+ * @param {number} code - Pattern code
+ * @param {number} wordLength - Length of the word
+ * @returns {string} - Feedback such as "GYXXG"
+ */
+function decodePattern(code, wordLength) {
+  let feedback = "";
+  let rest = code;
+  for (let i = 0; i < wordLength; i++) {
+    feedback += PATTERN_LETTERS[rest % 3];
+    rest = Math.floor(rest / 3);
+  }
+  return feedback;
+}
+
+/**
+ * Compute the pattern code for a guess against an answer. Works on any
+ * strings; matches WordleSolver.simulateFeedback.
+ */
+function computePattern(guess, answer) {
+  const remaining = new Map();
+  const green = [];
+  for (let i = 0; i < guess.length; i++) {
+    green[i] = guess[i] === answer[i];
+    if (!green[i]) {
+      remaining.set(answer[i], (remaining.get(answer[i]) || 0) + 1);
+    }
+  }
+
+  let code = 0;
+  let power = 1;
+  for (let i = 0; i < guess.length; i++) {
+    if (green[i]) {
+      code += 2 * power;
+    } else if (remaining.get(guess[i]) > 0) {
+      code += power;
+      remaining.set(guess[i], remaining.get(guess[i]) - 1);
+    }
+    power *= 3;
+  }
+  return code;
+}
+
+/**
+ * Pick the smallest typed array that can hold every pattern code
+ */
+function getCellType(wordLength) {
+  if (wordLength <= 5) return Uint8Array;
+  if (wordLength <= 10) return Uint16Array;
+  if (wordLength <= 20) return Uint32Array;
+  return null;
+}
+
+/**
+ * Allocate a matrix in shared memory, so scoring workers can read it without
+ * a copy of their own
+ */
+function allocateCells(CellType, cells) {
+  return new CellType(
+    new SharedArrayBuffer(cells * CellType.BYTES_PER_ELEMENT)
+  );
+}
+
+/**
+ * Precomputed feedback patterns for every (guess, answer) pair of a word
+ * length and dictionary, stored as integer codes in a single typed array.
+ *
+ * The matrix is built the first time it is needed and cached on disk, keyed
+ * by a hash of both word lists, so a changed dictionary gets a fresh matrix.
+ * Only the most recently used few are kept.
+ *
+ * Dictionaries too big to precompute get their rows computed as they are
+ * needed and kept in memory up to a budget. Pairs that are not in the matrix
+ * (unknown words) fall back to computing the pattern directly.
+ */
+class PatternMatrix {
+  /**
+   * @param {Array} guesses - Accepted guesses (matrix rows)
+   * @param {Array} answers - Possible answers (matrix columns)
+   * @param {number} wordLength - Length of every word
+   * @param {Object} options - Matrix options
+   * @param {string|null} options.cacheDir - Directory for cached matrices,
+   *   or null to keep the matrix in memory only
+   * @param {number} options.maxCells - Largest matrix worth building
+   * @param {number} options.rowCacheBytes - Memory for rows computed on
+   *   demand when the matrix is too big to build
+   */
+  constructor(guesses, answers, wordLength, options = {}) {
+    this.guesses = guesses;
+    this.answers = answers;
+    this.wordLength = wordLength;
+    this.cacheDir =
+      options.cacheDir === undefined ? DEFAULT_CACHE_DIR : options.cacheDir;
+    this.maxCells = options.maxCells || DEFAULT_MAX_CELLS;
+    this.rowCacheBytes =
+      options.rowCacheBytes === undefined
+        ? DEFAULT_ROW_CACHE_BYTES
+        : options.rowCacheBytes;
+
+    this.guessIndex = new Map(guesses.map((word, index) => [word, index]));
+    this.answerIndex = new Map(answers.map((word, index) => [word, index]));
+    this.CellType = getCellType(wordLength);
+    this.data = null;
+    // Set when the matrix must not be built here (see useData)
+    this.onTheFly = false;
+    // Rows computed on demand (see getRowOnDemand)
+    this.rows = new Map();
+    this.letterCodes = null;
+  }
+
+  /**
+   * Check whether this dictionary is small enough to precompute
+   */
+  isSupported() {
+    return (
+      this.CellType !== null &&
+      this.guesses.length * this.answers.length <= this.maxCells
+    );
+  }
+
+  /**
+   * Key identifying the word length and both word lists
+   */
+  getCacheKey() {
+    if (!this.cacheKey) {
+      this.cacheKey = crypto
+        .createHash("sha1")
+        .update(`${FORMAT_VERSION}\n${this.wordLength}\n`)
+        .update(this.guesses.join("\n"))
+        .update("\n--\n")
+        .update(this.answers.join("\n"))
+        .digest("hex");
+    }
+    return this.cacheKey;
+  }
+
+  /**
+   * Path of the cache file for this dictionary (null if caching is off)
+   */
+  getCachePath() {
+    if (!this.cacheDir) return null;
+    return path.join(
+      this.cacheDir,
+      `patterns-${this.wordLength}-${this.getCacheKey().slice(0, 16)}.bin`
+    );
+  }
+
+  /**
+   * Check whether a cached matrix exists on disk
+   */
+  isCached() {
+    const cachePath = this.getCachePath();
+    return Boolean(cachePath) && fs.existsSync(cachePath);
+  }
+
+  /**
+   * Make sure the matrix is available, loading it from disk or building it
+   * @returns {boolean} - True if the matrix can be used
+   */
+  ensureBuilt() {
+    if (this.data) return true;
+    if (this.onTheFly || !this.isSupported()) return false;
+
+    if (!this.load()) {
+      this.build();
+      this.save();
+    }
+    return true;
+  }
+
+  /**
+   * Compute every pattern in the matrix
+   */
+  build() {
+    const answerCount = this.answers.length;
+    const data = allocateCells(
+      this.CellType,
+      this.guesses.length * answerCount
+    );
+    for (let g = 0; g < this.guesses.length; g++) {
+      this.fillRow(g, data, g * answerCount);
+    }
+    this.data = data;
+    this.letterCodes = null;
+  }
+
+  /**
+   * Compute the patterns of one guess against every answer
+   * @param {number} guessIndex - Row to compute
+   * @param {TypedArray} data - Array to write the row into
+   * @param {number} offset - Index of the row's first cell in data
+   */
+  fillRow(guessIndex, data, offset) {
+    // Map letters to small integers so patterns can be computed on typed arrays
+    if (!this.letterCodes) {
+      const alphabet = new Map();
+      const toCodes = (word) =>
+        Array.from(word, (letter) => {
+          if (!alphabet.has(letter)) alphabet.set(letter, alphabet.size);
+          return alphabet.get(letter);
+        });
+      const guesses = this.guesses.map(toCodes);
+      const answers = this.answers.map(toCodes);
+      this.letterCodes = {
+        guesses,
+        answers,
+        counts: new Int32Array(alphabet.size),
+      };
+    }
+
+    const { answers: answerCodes, counts } = this.letterCodes;
+    const guess = this.letterCodes.guesses[guessIndex];
+    const length = this.wordLength;
+    const green = new Uint8Array(length);
+
+    for (let a = 0; a < answerCodes.length; a++) {
+      const answer = answerCodes[a];
+
+      // First pass: greens, and count the answer's unmatched letters
+      for (let i = 0; i < length; i++) {
+        if (guess[i] === answer[i]) {
+          green[i] = 1;
+        } else {
+          green[i] = 0;
+          counts[answer[i]]++;
+        }
+      }
+
+      // Second pass: yellows use up the unmatched letters left to right
+      let code = 0;
+      let power = 1;
+      for (let i = 0; i < length; i++) {
+        if (green[i]) {
+          code += 2 * power;
+        } else if (counts[guess[i]] > 0) {
+          code += power;
+          counts[guess[i]]--;
+        }
+        power *= 3;
+      }
+
+      for (let i = 0; i < length; i++) {
+        counts[answer[i]] = 0;
+      }
+      data[offset + a] = code;
+    }
+  }
+
+  /**
+   * Get a row of a matrix too big to build, computing it the first time.
+   * Rows are kept until the memory budget is used up; later rows are
+   * computed every time they are needed.
+   * @returns {TypedArray|null} - The row, or null if rows can't be computed
+   *   here
+   */
+  getRowOnDemand(guessIndex) {
+    if (this.rows.has(guessIndex)) return this.rows.get(guessIndex);
+    if (this.onTheFly || this.CellType === null) return null;
+
+    const row = new this.CellType(this.answers.length);
+    this.fillRow(guessIndex, row, 0);
+    if ((this.rows.size + 1) * row.byteLength <= this.rowCacheBytes) {
+      this.rows.set(guessIndex, row);
+    }
+    return row;
+  }
+
+  /**
+   * Load the matrix from the disk cache
+   * @returns {boolean} - True if a valid cached matrix was loaded
+   */
+  load() {
+    const cachePath = this.getCachePath();
+    if (!cachePath || !fs.existsSync(cachePath)) return false;
+
+    try {
+      const buffer = fs.readFileSync(cachePath);
+      if (buffer.toString("latin1", 0, 4) !== MAGIC) return false;
+
+      const headerLength = buffer.readUInt32LE(4);
+      const header = JSON.parse(buffer.toString("utf8", 8, 8 + headerLength));
+      const cells = this.guesses.length * this.answers.length;
+      const bytes = cells * this.CellType.BYTES_PER_ELEMENT;
+      const offset = 8 + headerLength;
+
+      if (
+        header.version !== FORMAT_VERSION ||
+        header.key !== this.getCacheKey() ||
+        buffer.length !== offset + bytes
+      ) {
+        return false;
+      }
+
+      // Copy into an aligned buffer for the typed array
+      const data = allocateCells(this.CellType, cells);
+      buffer.copy(Buffer.from(data.buffer), 0, offset);
+      this.data = data;
+      this.markUsed(cachePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Use a matrix built elsewhere, e.g. by the main thread for a worker
+   * @param {TypedArray|null} data - The other matrix's data, or null to
+   *   compute every pattern on the fly instead of building the matrix here
+   */
+  useData(data) {
+    this.data = data;
+    this.onTheFly = data === null;
+  }
+
+  /**
+   * Write the matrix to the disk cache. Failures are ignored, since the
+   * cache only saves time.
+   */
+  save() {
+    const cachePath = this.getCachePath();
+    if (!cachePath || !this.data) return;
+
+    const header = Buffer.from(
+      JSON.stringify({
+        version: FORMAT_VERSION,
+        key: this.getCacheKey(),
+        wordLength: this.wordLength,
+        guesses: this.guesses.length,
+        answers: this.answers.length,
+      })
+    );
+    const prefix = Buffer.alloc(8);
+    prefix.write(MAGIC, 0, "latin1");
+    prefix.writeUInt32LE(header.length, 4);
+
+    // Write to a temporary file first so a partial write is never loaded
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      fs.writeFileSync(
+        tempPath,
+        Buffer.concat([
+          prefix,
+          header,
+          Buffer.from(
+            this.data.buffer,
+            this.data.byteOffset,
+            this.data.byteLength
+          ),
+        ])
+      );
+      fs.renameSync(tempPath, cachePath);
+    } catch (error) {
+      try {
+        fs.unlinkSync(tempPath);
+      } catch (cleanupError) {
+        // Nothing was written
+      }
+      return;
+    }
+    this.removeStale();
+  }
+
+  /**
+   * Mark a cached matrix as recently used, so it is the last to be removed
+   */
+  markUsed(cachePath) {
+    try {
+      const now = new Date();
+      fs.utimesSync(cachePath, now, now);
+    } catch (error) {
+      // Only affects which matrix is removed first
+    }
+  }
+
+  /**
+   * Delete the least recently used cached matrices beyond
+   * MAX_CACHED_MATRICES, which would otherwise pile up every time the
+   * dictionary changes
+   */
+  removeStale() {
+    let files;
+    try {
+      files = fs
+        .readdirSync(this.cacheDir)
+        .filter((name) => /^patterns-\d+-[0-9a-f]+\.bin$/.test(name))
+        .map((name) => {
+          const filePath = path.join(this.cacheDir, name);
+          return { filePath, used: fs.statSync(filePath).mtimeMs };
+        });
+    } catch (error) {
+      return;
+    }
+    files
+      .sort((a, b) => b.used - a.used)
+      .slice(MAX_CACHED_MATRICES)
+      .forEach(({ filePath }) => {
+        try {
+          fs.unlinkSync(filePath);
+        } catch (error) {
+          // Another process may have removed it already
+        }
+      });
+  }
+
+  /**
+   * Get the pattern codes of a guess against every answer
+   * @param {string} guess - The guessed word
+   * @param {number} lookups - Number of answers the caller will look up;
+   *   when the matrix is too big to build, a row that isn't kept yet is only
+   *   computed for a large enough share of the answers
+   * @returns {TypedArray|null} - Codes indexed like the answer list, or null
+   *   if the guess is not in the matrix (or the row isn't worth computing)
+   */
+  getRow(guess, lookups = this.answers.length) {
+    const guessIndex = this.guessIndex.get(guess);
+    if (guessIndex === undefined) return null;
+    if (!this.ensureBuilt()) {
+      return lookups >= this.answers.length * ROW_FILL_SHARE ||
+        this.rows.has(guessIndex)
+        ? this.getRowOnDemand(guessIndex)
+        : null;
+    }
+
+    const answerCount = this.answers.length;
+    return this.data.subarray(
+      guessIndex * answerCount,
+      (guessIndex + 1) * answerCount
+    );
+  }
+
+  /**
+   * Get the pattern code for a single guess and answer
+   */
+  getPattern(guess, answer) {
+    const row = this.getRow(guess, 1);
+    const answerIndex = this.answerIndex.get(answer);
+    return row && answerIndex !== undefined
+      ? row[answerIndex]
+      : computePattern(guess, answer);
+  }
+
+  /**
+   * Get the pattern codes of a guess against some answers
+   * @param {string} guess - The guessed word
+   * @param {Array} words - Possible answers
+   * @returns {Array} - Pattern code for each word, in the same order
+   */
+  getPatterns(guess, words) {
+    const row = this.getRow(guess, words.length);
+    return words.map((word) => {
+      const answerIndex = row ? this.answerIndex.get(word) : undefined;
+      return answerIndex !== undefined
+        ? row[answerIndex]
+        : computePattern(guess, word);
+    });
+  }
+
+  /**
+   * Split words into buckets by the pattern a guess would get against them
+   * @param {string} guess - The guessed word
+   * @param {Array} words - Possible answers
+   * @param {Array} weights - Optional weight of each word (same order as
+   *   words); buckets then hold total weight instead of word counts
+   * @returns {Map} - Map of pattern code -> number of words
+   */
+  partition(guess, words, weights = null) {
+    const row = this.getRow(guess, words.length);
+    const buckets = new Map();
+
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      const answerIndex = row ? this.answerIndex.get(word) : undefined;
+      const code =
+        answerIndex !== undefined
+          ? row[answerIndex]
+          : computePattern(guess, word);
+      buckets.set(code, (buckets.get(code) || 0) + (weights ? weights[i] : 1));
+    }
+
+    return buckets;
+  }
+}
+
+module.exports = {
+  MAX_CACHED_MATRICES,
+  PatternMatrix,
+  encodeFeedback,
+  decodePattern,
+  computePattern,
+};
@@ -0,0 +1,54 @@
+/**
+ * Create a random number generator. With a seed the sequence is repeatable
+ * (mulberry32), which keeps benchmark samples and secret words stable
+ * between runs; without one it falls back to Math.random.
+ * @param {number|string} seed - Optional seed
+ * @returns {Function} - Function returning a number in [0, 1)
+ */
+function createRandom(seed) {
+  if (seed === undefined || seed === null || seed === "") {
+    return Math.random;
+  }
+
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Turn a numeric or string seed into a 32-bit integer
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a random sample of words without replacement
+ * @param {Array} words - Words to sample from
+ * @param {number} sampleSize - Number of words to pick
+ * @param {Function} random - Random number generator from createRandom
+ * @returns {Array} - Sampled words, in the order they were picked
+ */
+function sampleWords(words, sampleSize, random = Math.random) {
+  const pool = Array.from(words);
+  const size = Math.min(sampleSize, pool.length);
+
+  // Partial Fisher-Yates shuffle
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+
+  return pool.slice(0, size);
+}
+
+module.exports = { createRandom, sampleWords };
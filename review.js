@@ -0,0 +1,470 @@
+const fs = require("fs");
+const WordleSolver = require("./wordleSolver");
+const { playGame } = require("./benchmark");
+const { describeFeedback } = require("./feedbackModels");
+const { resolveLookahead, LookaheadSearch } = require("./lookahead");
+
+// Skill and luck are scored out of this, like WordleBot
+const SCORE_MAX = 99;
+// Remaining words are listed when there are at most this many
+const MAX_LISTED_WORDS = 10;
+
+/**
+ * Work out what a guess could leave behind
+ * @param {WordleSolver} solver - Solver holding the word prior
+ * @param {string} guess - The guessed word
+ * @param {Array} words - Possible answers before the guess
+ * @returns {Object} - { outcomes, expectedRemaining, solveChance }, where
+ *   outcomes lists { left, chance } for every feedback the guess could get
+ *   (left is 0 when the guess is the answer)
+ */
+function getOutcome(solver, guess, words) {
+  const weights = solver.getPriorWeights(words) || words.map(() => 1);
+  const weightOf = new Map(words.map((word, i) => [word, weights[i]]));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const chanceOf = (group) =>
+    group.reduce((sum, word) => sum + weightOf.get(word), 0) / total;
+
+  const solveChance = weightOf.has(guess) ? weightOf.get(guess) / total : 0;
+  const outcomes = solveChance > 0 ? [{ left: 0, chance: solveChance }] : [];
+  for (const group of solver.groupByFeedback(guess, words).values()) {
+    const rest = group.filter((word) => word !== guess);
+    if (rest.length > 0) {
+      outcomes.push({ left: rest.length, chance: chanceOf(rest) });
+    }
+  }
+
+  const expectedRemaining = outcomes.reduce(
+    (sum, { left, chance }) => sum + left * chance,
+    0
+  );
+  return { outcomes, expectedRemaining, solveChance };
+}
+
+/**
+ * Score a guess by the guesses it is expected to need to finish, compared
+ * with the solver's pick: SCORE_MAX matches or beats the solver, and a guess
+ * expected to take twice as long scores half
+ */
+function scoreSkill(expectedGuesses, bestExpectedGuesses) {
+  return Math.round(
+    SCORE_MAX * Math.min(1, bestExpectedGuesses / expectedGuesses)
+  );
+}
+
+/**
+ * Score how lucky the feedback was: the chance that the guess would have
+ * left more words, counting equal outcomes as half
+ */
+function scoreLuck(outcomes, left) {
+  const luck = outcomes.reduce(
+    (sum, outcome) =>
+      sum +
+      (outcome.left > left ? outcome.chance : 0) +
+      (outcome.left === left ? outcome.chance / 2 : 0),
+    0
+  );
+  return Math.round(SCORE_MAX * luck);
+}
+
+/**
+ * Grade every guess of a game against the solver's own pick
+ * @param {WordleSolver} solver - Solver to compare with
+ * @param {Array} history - Array of { guess, feedback } pairs, in order
+ * @param {string|null} answer - The answer, if known. Defaults to the last
+ *   guess when its feedback says it was solved.
+ * @returns {Object} - { answer, solved, guesses, finalGuess, turns, skill,
+ *   luck, solverGuesses, solverSolved }. Each turn has:
+ *   - before / after: the number of possible answers before and after the
+ *     guess (after is 0 once solved), plus the words themselves as
+ *     beforeWords / afterWords when there are only a few
+ *   - expectedRemaining / solveChance / expectedGuesses: what the guess
+ *     leaves on average, its chance of being the answer, and the guesses
+ *     it is expected to need to finish (counting itself)
+ *   - best: the solver's pick with its { word, expectedRemaining,
+ *     solveChance, expectedGuesses }
+ *   - skill / luck: scores out of SCORE_MAX
+ *   skill and luck at the top level are the averages over the turns.
+ *   finalGuess is the answer when the game stopped with it as the only
+ *   word left (it counts as a guess, but has no turn), and solverGuesses /
+ *   solverSolved are how the solver would play against the answer.
+ */
+function reviewGame(solver, history, answer = null) {
+  if (solver.lies > 0) {
+    throw new Error("Games with lying feedback can't be reviewed");
+  }
+
+  // Rough estimates, so games of any length review quickly
+  const estimator = new LookaheadSearch(
+    solver,
+    resolveLookahead({ depth: 1, timeBudget: null })
+  );
+  const listed = (words) => (words.length <= MAX_LISTED_WORDS ? words : null);
+  const turns = history.map((row, index) => {
+    const past = history.slice(0, index);
+    const before = solver.findPossibleWords(past);
+    if (before.length === 0) {
+      throw new Error(`No words fit the feedback before guess ${index + 1}`);
+    }
+    const solved = solver.isSolvedFeedback(row.feedback);
+    const after = solved ? [] : solver.findPossibleWords([...past, row]);
+
+    const outcome = getOutcome(solver, row.guess, before);
+    const bestWord = solver.chooseGuess(before, past);
+    const best =
+      bestWord === row.guess ? outcome : getOutcome(solver, bestWord, before);
+    const expectedGuesses = estimator.estimateGuesses(row.guess, before);
+    const bestExpectedGuesses =
+      bestWord === row.guess
+        ? expectedGuesses
+        : estimator.estimateGuesses(bestWord, before);
+
+    return {
+      turn: index + 1,
+      guess: row.guess,
+      feedback: row.feedback,
+      before: before.length,
+      after: after.length,
+      beforeWords: listed(before),
+      afterWords: listed(after),
+      expectedRemaining: outcome.expectedRemaining,
+      solveChance: outcome.solveChance,
+      expectedGuesses,
+      best: {
+        word: bestWord,
+        expectedRemaining: best.expectedRemaining,
+        solveChance: best.solveChance,
+        expectedGuesses: bestExpectedGuesses,
+      },
+      skill: scoreSkill(expectedGuesses, bestExpectedGuesses),
+      luck: scoreLuck(outcome.outcomes, after.length),
+    };
+  });
+
+  const lastRow = history[history.length - 1];
+  const played = Boolean(lastRow && solver.isSolvedFeedback(lastRow.feedback));
+  const knownAnswer = answer || (played ? lastRow.guess : null);
+  // Solve mode ends once a single word is left, before it is played, so
+  // that word counts as the last guess (as it does in the stats)
+  const remaining =
+    played || !knownAnswer ? [] : solver.findPossibleWords(history);
+  const finalGuess =
+    remaining.length === 1 && remaining[0] === knownAnswer ? knownAnswer : null;
+  const solverGame = knownAnswer ? playGame(solver, knownAnswer) : null;
+  const average = (key) =>
+    turns.length > 0
+      ? Math.round(
+          turns.reduce((sum, turn) => sum + turn[key], 0) / turns.length
+        )
+      : null;
+
+  return {
+    answer: knownAnswer,
+    solved: played || finalGuess !== null,
+    guesses: history.length + (finalGuess ? 1 : 0),
+    finalGuess,
+    turns,
+    skill: average("skill"),
+    luck: average("luck"),
+    solverGuesses: solverGame ? solverGame.guesses : null,
+    solverSolved: solverGame ? solverGame.solved : null,
+  };
+}
+
+/**
+ * Format a review as human-readable text
+ * @param {Object} review - Result of reviewGame
+ * @returns {string} - One block per turn and a summary
+ */
+function formatReview(review) {
+  const words = (count, list) =>
+    list && list.length > 0 ? `${count} (${list.join(", ")})` : `${count}`;
+  const chance = (probability) =>
+    probability < 0.001 ? "<0.1%" : `${(probability * 100).toFixed(1)}%`;
+  const expected = ({ expectedRemaining, solveChance, expectedGuesses }) =>
+    `${expectedRemaining.toFixed(1)} words left on average${
+      solveChance > 0 ? ` (${chance(solveChance)} chance of solving)` : ""
+    }, about ${expectedGuesses.toFixed(2)} guesses to finish`;
+
+  const lines = [];
+  review.turns.forEach((turn) => {
+    lines.push(
+      `Turn ${turn.turn}: ${turn.guess.toUpperCase()} ${describeFeedback(
+        turn.feedback
+      )}`,
+      `  Words before: ${words(turn.before, turn.beforeWords)}`,
+      `  Words after: ${words(turn.after, turn.afterWords)}`,
+      `  Your guess: ${expected(turn)}`,
+      turn.best.word === turn.guess
+        ? "  The solver would have played the same"
+        : `  Solver's pick: ${turn.best.word.toUpperCase()}, ${expected(
+            turn.best
+          )}`,
+      `  Skill ${turn.skill}/${SCORE_MAX}, luck ${turn.luck}/${SCORE_MAX}`,
+      ""
+    );
+  });
+
+  if (review.finalGuess) {
+    lines.push(
+      `Turn ${
+        review.guesses
+      }: ${review.finalGuess.toUpperCase()}, the only word left`,
+      ""
+    );
+  }
+  lines.push(
+    review.solved
+      ? `Solved in ${review.guesses} guess${review.guesses === 1 ? "" : "es"}`
+      : `${review.guesses} guess${review.guesses === 1 ? "" : "es"} played`
+  );
+  if (review.skill !== null) {
+    lines.push(
+      `Average skill ${review.skill}/${SCORE_MAX}, average luck ${review.luck}/${SCORE_MAX}`
+    );
+  }
+  if (review.solverGuesses) {
+    const count = review.solverGuesses.length;
+    const guesses = review.solverGuesses
+      .map((guess) => guess.toUpperCase())
+      .join(" > ");
+    lines.push(
+      review.solverSolved
+        ? `The solver would have needed ${count} guess${
+            count === 1 ? "" : "es"
+          } for ${review.answer.toUpperCase()}: ${guesses}`
+        : `The solver would not have solved ${review.answer.toUpperCase()}${
+            count > 0 ? ` (it played ${guesses})` : ""
+          }`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Read a finished game from a file: a session saved by the CLI, JSON such as
+ * { "answer": "cigar", "guesses": ["crane", "moist", "cigar"] }, or text with
+ * one guess per line, each optionally followed by its feedback
+ * @param {string} filePath - File to read
+ * @returns {Object} - { wordLength, dictionary, hardMode, strategy,
+ *   feedback, lies, answer, rows }, where rows are { guess, feedback }
+ *   pairs and feedback is null if the file doesn't give it
+ */
+function readGameFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read game ${filePath}: ${error.message}`);
+  }
+
+  if (!text.trim().startsWith("{")) {
+    const rows = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"))
+      .map((line) => {
+        const [guess, ...feedback] = line.split(/\s+/);
+        return { guess, feedback: feedback.join("") || null };
+      });
+    return { dictionary: {}, rows };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not read game ${filePath}: ${error.message}`);
+  }
+  if (data.mode === "multi") {
+    throw new Error("Multi-board games can't be reviewed");
+  }
+  const rows = (data.history || data.guesses || []).map((row) =>
+    typeof row === "string"
+      ? { guess: row, feedback: null }
+      : { guess: String(row.guess), feedback: row.feedback || null }
+  );
+  if (rows.length === 0) {
+    throw new Error(`${filePath} has no guesses to review`);
+  }
+  return {
+    wordLength: data.wordLength,
+    dictionary: data.dictionary || {},
+    hardMode: data.hardMode,
+    strategy: data.strategy,
+    feedback: data.feedback,
+    lies: data.lies,
+    answer: data.answer || data.secretWord || null,
+    rows,
+  };
+}
+
+/**
+ * Build the solver and guess history for a game read by readGameFile.
+ * Options given on the command line win over the file's. When the answer
+ * is known, every row's feedback has to be the feedback it gives.
+ */
+function prepareGame(game, options) {
+  const givenAnswer = options.answer || game.answer || null;
+  const wordLength =
+    options.wordLength ||
+    game.wordLength ||
+    (game.rows[0] ? game.rows[0].guess.length : null);
+  if (!wordLength) {
+    throw new Error("The game has no guesses to review");
+  }
+
+  const solver = new WordleSolver(wordLength, {
+    answers: options.answers || game.dictionary.answers,
+    guesses: options.guesses || game.dictionary.guesses,
+    frequencies: options.frequencies || game.dictionary.frequencies,
+    locale: options.locale || game.dictionary.locale,
+    strategy: options.strategy || game.strategy,
+    hardMode: options.hardMode || Boolean(game.hardMode),
+    feedback: options.feedback || game.feedback,
+    lies: game.lies || 0,
+  });
+
+  const answer = givenAnswer && solver.normalizeWord(givenAnswer);
+  if (givenAnswer && (!answer || answer.length !== wordLength)) {
+    throw new Error(
+      `The answer (${givenAnswer}) must be a ${wordLength}-letter word`
+    );
+  }
+
+  const history = game.rows.map(({ guess, feedback }, index) => {
+    const label = `Guess ${index + 1} (${guess})`;
+    const word = solver.normalizeWord(guess);
+    if (!word || word.length !== wordLength) {
+      throw new Error(`${label}: must be a ${wordLength}-letter word`);
+    }
+    if (feedback) {
+      let normalized;
+      try {
+        normalized = solver.normalizeFeedback(feedback);
+      } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+      }
+      // Lying feedback isn't expected to match the answer
+      const expected =
+        answer && !solver.lies && solver.getFeedback(word, answer);
+      if (expected && expected !== normalized) {
+        throw new Error(
+          `${label}: feedback ${describeFeedback(normalized)} doesn't match ` +
+            `the answer ${answer}, which gives ${describeFeedback(expected)}`
+        );
+      }
+      return { guess: word, feedback: normalized };
+    }
+    if (!answer) {
+      throw new Error(
+        `${label}: no feedback given; pass the answer with --answer`
+      );
+    }
+    return { guess: word, feedback: solver.getFeedback(word, answer) };
+  });
+
+  return { solver, history, answer };
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--answer":
+        options.answer = next();
+        break;
+      case "--length":
+        options.wordLength = parseInt(next());
+        break;
+      case "--hard":
+        options.hardMode = true;
+        break;
+      case "--answers":
+        options.answers = next();
+        break;
+      case "--guesses":
+        options.guesses = next();
+        break;
+      case "--frequencies":
+        options.frequencies = next();
+        break;
+      case "--locale":
+        options.locale = next();
+        break;
+      case "--strategy":
+        options.strategy = next();
+        break;
+      case "--feedback":
+        options.feedback = next();
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      default:
+        if (arg.startsWith("--") || options.file) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        options.file = arg;
+    }
+  }
+
+  if (!options.file) {
+    throw new Error("Give a game file to review");
+  }
+  if (options.wordLength !== undefined && isNaN(options.wordLength)) {
+    throw new Error("--length must be a number");
+  }
+
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(
+      "Usage: node review.js <game file> [--answer word] [--length 5] " +
+        "[--hard] [--answers answers.txt] [--guesses guesses.txt] " +
+        "[--frequencies frequencies.txt] [--locale en] [--strategy name] " +
+        "[--feedback tiles|jotto|mastermind] [--json]"
+    );
+    process.exit(1);
+  }
+
+  let review;
+  try {
+    const { solver, history, answer } = prepareGame(
+      readGameFile(options.file),
+      options
+    );
+    review = reviewGame(solver, history, answer);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(
+    options.json ? JSON.stringify(review, null, 2) : formatReview(review)
+  );
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { reviewGame, formatReview, readGameFile, prepareGame };
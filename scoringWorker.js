@@ -0,0 +1,26 @@
+const { parentPort, workerData } = require("worker_threads");
+const WordleSolver = require("./wordleSolver");
+
+// Worker thread for parallelScoring.js: rebuilds the main thread's solver and
+// ranks the chunks of candidates it is sent
+
+const { wordLength, options, weight, patterns } = workerData;
+const solver = new WordleSolver(wordLength, options);
+Object.assign(solver.weight, weight);
+solver.getPatternMatrix().useData(patterns);
+
+let context = null;
+parentPort.on("message", (message) => {
+  if (message.context) {
+    context = message.context;
+    return;
+  }
+
+  const { type, words, limit } = message.job;
+  try {
+    const ranked = solver.rankGuesses(words, context, type).slice(0, limit);
+    parentPort.postMessage({ ranked });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
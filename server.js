@@ -0,0 +1,526 @@
+const crypto = require("crypto");
+const http = require("http");
+const WordleSolver = require("./wordleSolver");
+const WordConstraints = require("./constraints");
+const { describeDiagnosis, limitDiagnosis } = require("./consistency");
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 8080;
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 64 * 1024;
+// Sessions are dropped after this long without a request
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const MAX_SESSIONS = 1000;
+const DEFAULT_SUGGESTIONS = 5;
+// Words listed per typo suspect in contradiction errors
+const DIAGNOSIS_WORD_LIMIT = 10;
+
+/**
+ * An error that is sent to the client as a JSON error response
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable description
+   * @param {Object} details - Extra fields for the error body
+   */
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * In-memory solving sessions. Each session has its own guess history but
+ * shares a solver (and its feedback-pattern matrix) with every other
+ * session using the same word length, mode and strategy.
+ */
+class SessionStore {
+  /**
+   * @param {Object} dictionary - Word list options passed to every solver
+   *   (answers, guesses, frequencies)
+   */
+  constructor(dictionary = {}) {
+    this.dictionary = dictionary;
+    this.sessions = new Map();
+    this.solvers = new Map();
+  }
+
+  /**
+   * Get a shared solver for a word length, mode and strategy
+   */
+  getSolver(wordLength, hardMode, strategy) {
+    const key = `${wordLength}:${hardMode}:${strategy || ""}`;
+    if (!this.solvers.has(key)) {
+      const solver = new WordleSolver(wordLength, {
+        ...this.dictionary,
+        hardMode,
+        strategy,
+      });
+      // Solvers of the same length can share one pattern matrix
+      const sibling = [...this.solvers.values()].find(
+        (other) => other.wordLength === wordLength
+      );
+      if (sibling) {
+        solver.patternMatrix = sibling.getPatternMatrix();
+      }
+      this.solvers.set(key, solver);
+    }
+    return this.solvers.get(key);
+  }
+
+  /**
+   * Start a new session
+   * @param {Object} settings - { length, hardMode, strategy }
+   * @returns {Object} - The session
+   */
+  create({ length, hardMode = false, strategy } = {}) {
+    if (typeof hardMode !== "boolean") {
+      throw new HttpError(
+        400,
+        "invalid_input",
+        "hardMode must be true or false"
+      );
+    }
+    this.removeExpired();
+    if (this.sessions.size >= MAX_SESSIONS) {
+      throw new HttpError(
+        503,
+        "too_many_sessions",
+        "Too many open sessions. Delete some or try again later"
+      );
+    }
+
+    const availableLengths = WordleSolver.getAvailableWordLengths(
+      this.dictionary
+    );
+    if (!availableLengths.includes(length)) {
+      throw new HttpError(
+        400,
+        "invalid_input",
+        `length must be one of: ${availableLengths.join(", ")}`
+      );
+    }
+
+    let solver;
+    try {
+      solver = this.getSolver(length, hardMode, strategy);
+    } catch (error) {
+      throw new HttpError(400, "invalid_input", error.message);
+    }
+
+    const session = {
+      id: crypto.randomUUID(),
+      solver,
+      history: [],
+      lastUsed: Date.now(),
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Look up a session by id
+   */
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session || this.isExpired(session)) {
+      this.sessions.delete(id);
+      throw new HttpError(404, "not_found", `No session with id "${id}"`);
+    }
+    session.lastUsed = Date.now();
+    return session;
+  }
+
+  /**
+   * Delete a session
+   */
+  delete(id) {
+    this.get(id);
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Record a guess and its feedback. The guess is rejected, and the history
+   * left unchanged, if it is malformed, breaks hard mode or leaves no
+   * possible words.
+   * @param {Object} session - The session
+   * @param {Object} row - { guess, feedback }
+   */
+  addGuess(session, { guess, feedback } = {}) {
+    const { solver, history } = session;
+    if (typeof guess !== "string" || typeof feedback !== "string") {
+      throw new HttpError(
+        400,
+        "invalid_input",
+        'Send a guess and its feedback, e.g. { "guess": "stare", "feedback": "xxyxg" }'
+      );
+    }
+
+    const word = solver.normalizeWord(guess);
+    if (!word || word.length !== solver.wordLength) {
+      throw new HttpError(
+        400,
+        "invalid_input",
+        `Guess must be a ${solver.wordLength}-letter word`
+      );
+    }
+
+    let normalized;
+    try {
+      normalized = WordConstraints.normalizeFeedback(
+        feedback,
+        solver.wordLength
+      );
+    } catch (error) {
+      throw new HttpError(400, "invalid_feedback", error.message);
+    }
+    const problem = WordConstraints.getFeedbackProblem(word, normalized);
+    if (problem) {
+      throw new HttpError(
+        400,
+        "invalid_feedback",
+        `No word could give ${word} that feedback: ${problem}`
+      );
+    }
+
+    if (solver.hardMode) {
+      const violation = solver.getHardModeViolation(word, history);
+      if (violation) {
+        throw new HttpError(
+          400,
+          "invalid_input",
+          `Not allowed in hard mode: ${violation}`
+        );
+      }
+    }
+
+    const nextHistory = [...history, { guess: word, feedback: normalized }];
+    if (solver.findPossibleWords(nextHistory).length === 0) {
+      const diagnosis = solver.diagnoseHistory(nextHistory);
+      throw new HttpError(409, "contradiction", describeDiagnosis(diagnosis), {
+        diagnosis: limitDiagnosis(diagnosis, DIAGNOSIS_WORD_LIMIT),
+      });
+    }
+    session.history = nextHistory;
+  }
+
+  isExpired(session) {
+    return Date.now() - session.lastUsed > SESSION_TTL_MS;
+  }
+
+  removeExpired() {
+    for (const [id, session] of this.sessions) {
+      if (this.isExpired(session)) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * Describe a session: its guesses, remaining words and suggestions
+ * @param {Object} session - The session
+ * @param {number} limit - Number of suggestions of each kind
+ * @returns {Object} - JSON-ready session state
+ */
+function describeSession(session, limit = DEFAULT_SUGGESTIONS) {
+  const { id, solver, history } = session;
+  const possibleWords = solver.findPossibleWords(history);
+  const lastRow = history[history.length - 1];
+  const solved = Boolean(
+    lastRow && lastRow.feedback === "G".repeat(solver.wordLength)
+  );
+  const { solutionGuesses, informationGuesses } = solved
+    ? { solutionGuesses: [], informationGuesses: [] }
+    : solver.suggestGuesses(
+        possibleWords,
+        solver.getUsedLetters(history),
+        limit,
+        history
+      );
+  const toSuggestion = ({ word, score, metric, probability }) => ({
+    word,
+    score,
+    metric,
+    probability,
+  });
+
+  return {
+    id,
+    wordLength: solver.wordLength,
+    hardMode: solver.hardMode,
+    strategy: solver.strategy.name,
+    history,
+    solved,
+    answer: solved
+      ? lastRow.guess
+      : possibleWords.length === 1
+      ? possibleWords[0]
+      : null,
+    remaining: {
+      count: possibleWords.length,
+      words: possibleWords,
+      probabilities: solver.hasPriors()
+        ? Object.fromEntries(solver.getPriors(possibleWords))
+        : undefined,
+    },
+    suggestions: {
+      solution: solutionGuesses.map(toSuggestion),
+      information: informationGuesses.map(toSuggestion),
+    },
+  };
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        // Stop reading, but keep the socket open so the 413 reaches the
+        // client; the response then closes the connection
+        request.pause();
+        reject(new HttpError(413, "too_large", "Request body is too large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (text.trim() === "") {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        reject(new HttpError(400, "invalid_json", "Body must be valid JSON"));
+        return;
+      }
+      if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        reject(
+          new HttpError(400, "invalid_json", "Body must be a JSON object")
+        );
+        return;
+      }
+      resolve(body);
+    });
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Read the number of suggestions to return from the query string
+ */
+function getLimit(url) {
+  const value = url.searchParams.get("limit");
+  if (value === null) return DEFAULT_SUGGESTIONS;
+  const limit = parseInt(value);
+  if (!(limit > 0)) {
+    throw new HttpError(
+      400,
+      "invalid_input",
+      "limit must be a positive number"
+    );
+  }
+  return limit;
+}
+
+function sendJson(response, status, body) {
+  const json = body === undefined ? "" : JSON.stringify(body);
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(json),
+  });
+  response.end(json);
+}
+
+/**
+ * Route a request to its handler
+ * @returns {Object} - { status, body } to send
+ */
+async function handleRequest(store, request) {
+  const url = new URL(request.url, "http://localhost");
+  const parts = url.pathname.split("/").filter(Boolean);
+  const method = request.method;
+  const allow = (...methods) => {
+    if (!methods.includes(method)) {
+      throw new HttpError(
+        405,
+        "method_not_allowed",
+        `Use ${methods.join(" or ")} for ${url.pathname}`
+      );
+    }
+  };
+
+  // GET /lengths
+  if (parts.length === 1 && parts[0] === "lengths") {
+    allow("GET");
+    return {
+      status: 200,
+      body: {
+        lengths: WordleSolver.getAvailableWordLengths(store.dictionary),
+      },
+    };
+  }
+
+  // POST /sessions
+  if (parts.length === 1 && parts[0] === "sessions") {
+    allow("POST");
+    // Check every input before a session is created
+    const limit = getLimit(url);
+    const body = await readJsonBody(request);
+    const session = store.create({
+      length: body.length,
+      hardMode: body.hardMode,
+      strategy: body.strategy,
+    });
+    return { status: 201, body: describeSession(session, limit) };
+  }
+
+  // GET or DELETE /sessions/:id
+  if (parts.length === 2 && parts[0] === "sessions") {
+    allow("GET", "DELETE");
+    if (method === "DELETE") {
+      store.delete(parts[1]);
+      return { status: 204 };
+    }
+    return {
+      status: 200,
+      body: describeSession(store.get(parts[1]), getLimit(url)),
+    };
+  }
+
+  // POST /sessions/:id/guesses
+  if (parts.length === 3 && parts[0] === "sessions" && parts[2] === "guesses") {
+    allow("POST");
+    const limit = getLimit(url);
+    const session = store.get(parts[1]);
+    store.addGuess(session, await readJsonBody(request));
+    return { status: 201, body: describeSession(session, limit) };
+  }
+
+  throw new HttpError(404, "not_found", `No route for ${url.pathname}`);
+}
+
+/**
+ * Create the HTTP server (call listen() on it to start serving)
+ * @param {Object} options - Word list options for every session (answers,
+ *   guesses, frequencies, locale), and optionally the SessionStore to
+ *   serve instead of a new one
+ * @returns {http.Server} - The server
+ */
+function createServer(options = {}) {
+  const store =
+    options.store ||
+    new SessionStore({
+      answers: options.answers,
+      guesses: options.guesses,
+      frequencies: options.frequencies,
+      locale: options.locale,
+    });
+
+  return http.createServer(async (request, response) => {
+    try {
+      const { status, body } = await handleRequest(store, request);
+      sendJson(response, status, body);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      const code = error instanceof HttpError ? error.code : "internal_error";
+      const details = error instanceof HttpError ? error.details : {};
+      // The rest of an unread body can't be skipped on a kept-alive socket
+      if (!request.complete) response.setHeader("Connection", "close");
+      sendJson(response, status, {
+        error: { code, message: error.message, ...details },
+      });
+    }
+  });
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+  const options = { host: DEFAULT_HOST, port: DEFAULT_PORT };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--host":
+        options.host = next();
+        break;
+      case "--port":
+        options.port = parseInt(next());
+        break;
+      case "--answers":
+        options.answers = next();
+        break;
+      case "--guesses":
+        options.guesses = next();
+        break;
+      case "--frequencies":
+        options.frequencies = next();
+        break;
+      case "--locale":
+        options.locale = next();
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (isNaN(options.port)) {
+    throw new Error("--port must be a number");
+  }
+
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(
+      "Usage: node server.js [--host 127.0.0.1] [--port 8080] " +
+        "[--answers answers.txt] [--guesses guesses.txt] " +
+        "[--frequencies frequencies.txt] [--locale en]"
+    );
+    process.exit(1);
+  }
+
+  const server = createServer(options);
+  server.on("error", (error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+  server.listen(options.port, options.host, () => {
+    console.log(
+      `Wordle Solver API listening on http://${options.host}:${options.port}`
+    );
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { HttpError, SessionStore, describeSession, createServer };
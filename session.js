@@ -0,0 +1,89 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SESSION_FORMAT_VERSION = 1;
+// Where the CLI keeps its data, and the session it saves on quit
+const DATA_DIR = path.join(os.homedir(), ".wordle-solver");
+const AUTOSAVE_PATH = path.join(DATA_DIR, "session.json");
+const MODES = ["solve", "multi", "play", "absurdle"];
+
+/**
+ * Turn word list options into absolute paths, so a saved session still
+ * finds its dictionary when resumed from another directory
+ * @param {Object} dictionary - { answers, guesses, frequencies, locale }
+ * @returns {Object} - The same options with resolved paths (or null)
+ */
+function resolveDictionary(dictionary = {}) {
+  const resolve = (filePath) =>
+    typeof filePath === "string" ? path.resolve(filePath) : null;
+  return {
+    answers: resolve(dictionary.answers),
+    guesses: resolve(dictionary.guesses),
+    frequencies: resolve(dictionary.frequencies),
+    locale: dictionary.locale || null,
+  };
+}
+
+/**
+ * Write a session to a JSON file
+ * @param {string} filePath - File to write (its directory is created)
+ * @param {Object} session - Session state: { wordLength, dictionary, mode,
+ *   hardMode, strategy, history } plus boards for multi-board games and
+ *   secretWord/seed for play mode
+ */
+function saveSession(filePath, session) {
+  const state = {
+    version: SESSION_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    ...session,
+    dictionary: resolveDictionary(session.dictionary),
+  };
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Load a session written by saveSession
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} - The session state
+ */
+function loadSession(filePath) {
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read session ${filePath}: ${error.message}`);
+  }
+
+  const history = state.mode === "multi" ? state.boards : state.history;
+  if (
+    state.version !== SESSION_FORMAT_VERSION ||
+    !MODES.includes(state.mode) ||
+    !Number.isInteger(state.wordLength) ||
+    !Array.isArray(history)
+  ) {
+    throw new Error(`${filePath} is not a saved session`);
+  }
+  return state;
+}
+
+/**
+ * Delete a saved session if it exists
+ */
+function clearSession(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    // Nothing to delete
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  AUTOSAVE_PATH,
+  resolveDictionary,
+  saveSession,
+  loadSession,
+  clearSession,
+};
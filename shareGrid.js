@@ -0,0 +1,105 @@
+const { encodeFeedback, computePattern } = require("./patternMatrix");
+
+// Share-grid tiles: dark mode (⬛), light mode (⬜) and high-contrast mode
+// (🟧 for correct, 🟦 for present)
+const TILE_FEEDBACK = {
+  "🟩": "G",
+  "🟧": "G",
+  "🟨": "Y",
+  "🟦": "Y",
+  "⬛": "X",
+  "⬜": "X",
+};
+
+// Number of example guesses kept for each grid row
+const MAX_EXAMPLES = 3;
+// Largest pattern-code lookup table worth allocating (3^wordLength entries)
+const MAX_LOOKUP_SIZE = 1 << 20;
+
+/**
+ * Turn a row of share-grid emoji into a feedback string
+ * @param {string} row - A row such as "⬛🟨⬛⬛🟩" (spaces and emoji
+ *   variation selectors are ignored)
+ * @returns {string|null} - Feedback such as "XYXXG", or null if the row is
+ *   not made only of tiles
+ */
+function parseEmojiRow(row) {
+  const tiles = Array.from(String(row).replace(/[\s️]/g, ""));
+  if (tiles.length === 0 || !tiles.every((tile) => TILE_FEEDBACK[tile])) {
+    return null;
+  }
+  return tiles.map((tile) => TILE_FEEDBACK[tile]).join("");
+}
+
+/**
+ * Pull the feedback rows out of pasted share text. Lines that are not tile
+ * rows (such as the "Wordle 1,234 4/6" header) are skipped.
+ * @param {string} text - Pasted share text
+ * @returns {Array} - Feedback strings, one per tile row
+ */
+function parseShareGrid(text) {
+  return String(text).split(/\r?\n/).map(parseEmojiRow).filter(Boolean);
+}
+
+/**
+ * Find every hidden word that could have produced a grid, along with the
+ * guesses that would give each row's feedback for that word
+ * @param {WordleSolver} solver - Solver for the grid's word length
+ * @param {Array} rows - Feedback strings from parseShareGrid
+ * @returns {Array} - { word, counts, examples } for each consistent answer,
+ *   where counts[i] is the number of accepted guesses giving row i and
+ *   examples[i] lists a few of them
+ */
+function findGridAnswers(solver, rows) {
+  const codes = rows.map(encodeFeedback);
+  const distinctCodes = [...new Set(codes)];
+  // Index of each distinct code by pattern code (-1 for other patterns). A
+  // typed array is much faster than a Map in the loop below.
+  let indexOf;
+  if (3 ** solver.wordLength <= MAX_LOOKUP_SIZE) {
+    const table = new Int16Array(3 ** solver.wordLength).fill(-1);
+    distinctCodes.forEach((code, index) => (table[code] = index));
+    indexOf = (code) => table[code];
+  } else {
+    const map = new Map(distinctCodes.map((code, index) => [code, index]));
+    indexOf = (code) => (map.has(code) ? map.get(code) : -1);
+  }
+  const answers = solver.wordList;
+  const counts = distinctCodes.map(() => new Int32Array(answers.length));
+  const examples = distinctCodes.map(() => new Map());
+
+  const matrix = solver.getPatternMatrix();
+  for (const guess of solver.allWordList) {
+    const row = matrix.getRow(guess);
+    for (let a = 0; a < answers.length; a++) {
+      const index = indexOf(row ? row[a] : computePattern(guess, answers[a]));
+      if (index === -1) continue;
+
+      counts[index][a]++;
+      if (counts[index][a] <= MAX_EXAMPLES) {
+        if (!examples[index].has(a)) examples[index].set(a, []);
+        examples[index].get(a).push(guess);
+      }
+    }
+  }
+
+  const results = [];
+  answers.forEach((word, a) => {
+    const rowIndexes = codes.map(indexOf);
+    if (rowIndexes.every((index) => counts[index][a] > 0)) {
+      results.push({
+        word,
+        counts: rowIndexes.map((index) => counts[index][a]),
+        examples: rowIndexes.map((index) => examples[index].get(a)),
+      });
+    }
+  });
+  return results;
+}
+
+module.exports = {
+  TILE_FEEDBACK,
+  parseEmojiRow,
+  parseShareGrid,
+  findGridAnswers,
+};
@@ -0,0 +1,409 @@
+const fs = require("fs");
+const path = require("path");
+const WordleSolver = require("./wordleSolver");
+const { playGame } = require("./benchmark");
+const { DATA_DIR, resolveDictionary } = require("./session");
+
+// Every finished game, one JSON object per line
+const STATS_PATH = path.join(DATA_DIR, "games.jsonl");
+const EXPORT_FORMATS = ["csv", "json"];
+const CSV_COLUMNS = [
+  "date",
+  "mode",
+  "wordLength",
+  "boards",
+  "hardMode",
+  "feedback",
+  "solved",
+  "guessCount",
+  "answer",
+  "guesses",
+];
+
+/**
+ * Add a finished game to the stats file
+ * @param {Object} game - { mode, wordLength, boards, hardMode, feedback,
+ *   lies, dictionary, guesses, solved, answer }: guesses lists the words
+ *   played, and answer is null when it isn't known (e.g. multi-board games)
+ * @param {string} filePath - Stats file (its directory is created)
+ * @returns {Object} - The record written, with its date
+ */
+function recordGame(game, filePath = STATS_PATH) {
+  const record = {
+    date: new Date().toISOString(),
+    ...game,
+    dictionary: resolveDictionary(game.dictionary),
+  };
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+  return record;
+}
+
+/**
+ * Read every game recorded by recordGame
+ * @param {string} filePath - Stats file
+ * @returns {Array} - Game records, oldest first. A missing file has none.
+ */
+function loadGames(filePath = STATS_PATH) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw new Error(`Could not read stats ${filePath}: ${error.message}`);
+  }
+
+  const games = [];
+  text.split("\n").forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      const game = JSON.parse(line);
+      if (Array.isArray(game.guesses) && Number.isInteger(game.wordLength)) {
+        games.push(game);
+      }
+    } catch (error) {
+      // A line cut short (e.g. by a crash while writing) is skipped
+    }
+  });
+  return games.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+/**
+ * Describe the group a game's guess distribution belongs to
+ */
+function getGroupLabel({ wordLength, boards = 1 }) {
+  return boards > 1
+    ? `${wordLength} letters, ${boards} boards`
+    : `${wordLength} letters`;
+}
+
+/**
+ * Work out win rate, streaks, guess distributions and how the solver does
+ * on the same answers
+ * @param {Array} games - Game records from loadGames, oldest first
+ * @param {Object} options - Options
+ * @param {boolean} options.compare - Replay the solver on every solved
+ *   single-board game with a known answer (default true)
+ * @param {Function} options.onProgress - Called with (replayed, total)
+ *   after each replayed game
+ * @returns {Object} - { played, won, winRate, currentStreak, maxStreak,
+ *   groups }, with one group per word length (and board count) holding
+ *   { label, wordLength, boards, played, won, failed, distribution,
+ *   averageGuesses, comparison }. distribution maps guess counts of solved
+ *   games to the number of games, and comparison is { games, player,
+ *   solver } average guesses on the answers both solved, or null.
+ */
+function computeStats(games, options = {}) {
+  const { compare = true, onProgress = null } = options;
+
+  let currentStreak = 0;
+  let maxStreak = 0;
+  games.forEach(({ solved }) => {
+    currentStreak = solved ? currentStreak + 1 : 0;
+    maxStreak = Math.max(maxStreak, currentStreak);
+  });
+
+  const groups = new Map();
+  games.forEach((game) => {
+    const label = getGroupLabel(game);
+    if (!groups.has(label)) {
+      groups.set(label, {
+        label,
+        wordLength: game.wordLength,
+        boards: game.boards || 1,
+        games: [],
+      });
+    }
+    groups.get(label).games.push(game);
+  });
+
+  // The solver can only replay honest single-board games it knows the
+  // answer of
+  const replayable = (game) =>
+    compare &&
+    game.solved &&
+    game.answer &&
+    (game.boards || 1) === 1 &&
+    !game.lies;
+  const replayTotal = games.filter(replayable).length;
+  let replayed = 0;
+  const solvers = new Map();
+  const replay = (game) => {
+    const settings = {
+      ...game.dictionary,
+      hardMode: Boolean(game.hardMode),
+      feedback: game.feedback,
+    };
+    const key = JSON.stringify([game.wordLength, settings]);
+    if (!solvers.has(key)) {
+      try {
+        solvers.set(key, new WordleSolver(game.wordLength, settings));
+      } catch (error) {
+        // e.g. a custom word list that has since been moved
+        solvers.set(key, null);
+      }
+    }
+    const solver = solvers.get(key);
+    const result = solver ? playGame(solver, game.answer) : null;
+    replayed++;
+    if (onProgress) onProgress(replayed, replayTotal);
+    return result && result.solved ? result.guesses.length : null;
+  };
+
+  const average = (numbers) =>
+    numbers.length > 0
+      ? numbers.reduce((sum, n) => sum + n, 0) / numbers.length
+      : null;
+
+  const summaries = [...groups.values()]
+    .sort((a, b) => a.wordLength - b.wordLength || a.boards - b.boards)
+    .map(({ label, wordLength, boards, games: groupGames }) => {
+      const solved = groupGames.filter((game) => game.solved);
+      const distribution = {};
+      solved.forEach(({ guesses }) => {
+        distribution[guesses.length] = (distribution[guesses.length] || 0) + 1;
+      });
+
+      const pairs = solved
+        .filter(replayable)
+        .map((game) => ({
+          player: game.guesses.length,
+          solver: replay(game),
+        }))
+        .filter(({ solver }) => solver !== null);
+
+      return {
+        label,
+        wordLength,
+        boards,
+        played: groupGames.length,
+        won: solved.length,
+        failed: groupGames.length - solved.length,
+        distribution,
+        averageGuesses: average(solved.map(({ guesses }) => guesses.length)),
+        comparison:
+          pairs.length > 0
+            ? {
+                games: pairs.length,
+                player: average(pairs.map(({ player }) => player)),
+                solver: average(pairs.map(({ solver }) => solver)),
+              }
+            : null,
+      };
+    });
+
+  const won = games.filter(({ solved }) => solved).length;
+  return {
+    played: games.length,
+    won,
+    winRate: games.length > 0 ? won / games.length : 0,
+    currentStreak,
+    maxStreak,
+    groups: summaries,
+  };
+}
+
+/**
+ * Format stats as a human-readable report
+ * @param {Object} stats - Result of computeStats
+ * @returns {string} - Totals, then a guess distribution per group
+ */
+function formatStats(stats) {
+  if (stats.played === 0) {
+    return "No finished games recorded yet";
+  }
+
+  const lines = [
+    `Games played: ${stats.played}`,
+    `Win rate: ${(stats.winRate * 100).toFixed(1)}% (${stats.won} won)`,
+    `Current streak: ${stats.currentStreak}`,
+    `Max streak: ${stats.maxStreak}`,
+  ];
+
+  stats.groups.forEach((group) => {
+    lines.push(
+      "",
+      `${group.label} (${group.played} game${group.played === 1 ? "" : "s"}):`
+    );
+
+    const counts = Object.keys(group.distribution).map(Number);
+    const longest = Math.max(group.boards === 1 ? 6 : 0, ...counts);
+    const rows = Array.from({ length: longest }, (_, i) => [
+      String(i + 1),
+      group.distribution[i + 1] || 0,
+    ]);
+    if (group.failed > 0) rows.push(["X", group.failed]);
+
+    const maxCount = Math.max(...rows.map(([, count]) => count), 1);
+    rows.forEach(([guesses, count]) => {
+      const bar = "#".repeat(Math.round((count / maxCount) * 40));
+      lines.push(
+        `${guesses.padStart(8)} | ${count > 0 ? `${bar || "#"} ` : ""}${count}`
+      );
+    });
+
+    if (group.averageGuesses !== null) {
+      lines.push(`Average guesses: ${group.averageGuesses.toFixed(2)}`);
+    }
+    if (group.comparison) {
+      const { games, player, solver } = group.comparison;
+      lines.push(
+        `On the same ${games} answer${
+          games === 1 ? "" : "s"
+        }: you ${player.toFixed(2)}, the solver ${solver.toFixed(2)}`
+      );
+    }
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Quote a CSV field if needed
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export game records as CSV, one row per game
+ * @param {Array} games - Game records from loadGames
+ * @returns {string} - CSV text with a header row
+ */
+function formatGamesCsv(games) {
+  const rows = games.map((game) =>
+    CSV_COLUMNS.map((column) => {
+      if (column === "boards") return game.boards || 1;
+      if (column === "guessCount") return game.guesses.length;
+      if (column === "guesses") return game.guesses.join(" ");
+      return game[column];
+    })
+  );
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\n");
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+  const options = { compare: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--file":
+        options.file = next();
+        break;
+      case "--length":
+        options.wordLength = parseInt(next());
+        if (isNaN(options.wordLength)) {
+          throw new Error("--length must be a number");
+        }
+        break;
+      case "--mode":
+        options.mode = next();
+        break;
+      case "--no-compare":
+        options.compare = false;
+        break;
+      case "--export":
+        options.export = next();
+        break;
+      case "--format":
+        options.format = next();
+        if (!EXPORT_FORMATS.includes(options.format)) {
+          throw new Error(`--format must be ${EXPORT_FORMATS.join(" or ")}`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.export && !options.format) {
+    options.format = options.export.toLowerCase().endsWith(".csv")
+      ? "csv"
+      : "json";
+  }
+
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(
+      "Usage: node stats.js [--length 5] [--mode solve|play|absurdle|multi] " +
+        "[--no-compare] [--export stats.csv|stats.json|-] " +
+        "[--format csv|json] [--file games.jsonl]"
+    );
+    process.exit(1);
+  }
+
+  let games;
+  let stats;
+  try {
+    games = loadGames(options.file).filter(
+      (game) =>
+        (!options.wordLength || game.wordLength === options.wordLength) &&
+        (!options.mode || game.mode === options.mode)
+    );
+    stats = computeStats(games, {
+      compare: options.compare,
+      onProgress: (replayed, total) => {
+        if (process.stderr.isTTY) {
+          process.stderr.write(
+            `\rReplaying your answers: ${replayed}/${total}`
+          );
+          if (replayed === total) process.stderr.write("\n");
+        }
+      },
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (options.export) {
+    const output =
+      options.format === "csv"
+        ? formatGamesCsv(games)
+        : JSON.stringify({ stats, games }, null, 2);
+    if (options.export === "-") {
+      console.log(output);
+      return;
+    }
+    fs.writeFileSync(options.export, `${output}\n`);
+    console.log(formatStats(stats));
+    console.log(`\nGames written to ${options.export}`);
+    return;
+  }
+
+  console.log(formatStats(stats));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  STATS_PATH,
+  recordGame,
+  loadGames,
+  computeStats,
+  formatStats,
+  formatGamesCsv,
+};
@@ -0,0 +1,146 @@
+/**
+ * Built-in scoring strategies for WordleSolver.
+ *
+ * A strategy ranks candidate guesses against the current set of possible
+ * answers. Every strategy has:
+ * - name: identifier used to pick it (e.g. the CLI's --strategy flag)
+ * - description: one-line summary for help output
+ * - metric: what the reported value of each suggestion measures
+ * - higherIsBetter: whether larger values are better
+ * - format(value): human-readable value for display
+ *
+ * and either:
+ * - evaluate(guess, context): value for a single guess, or
+ * - rank(words, context): array of { word, score } sorted best first
+ *
+ * The context is { solver, possibleWords, usedLetters, type, priorWeights },
+ * where type is "solution" or "information" depending on which list is being
+ * ranked, and priorWeights holds the prior weight of each possible word (or
+ * null when every word is equally likely).
+ */
+
+/**
+ * Letter-frequency heuristics: unused letters that are common among the
+ * possible answers, and for information guesses, common letters in the
+ * positions that are still unknown
+ */
+const frequency = {
+  name: "frequency",
+  description: "Common letters that haven't been tried yet",
+  metric: "frequency score",
+  higherIsBetter: true,
+  format: (value) => `frequency score: ${value.toFixed(1)}`,
+  rank(words, { solver, possibleWords, usedLetters, type }) {
+    if (type === "solution") {
+      return solver.scoreWords(
+        words,
+        usedLetters,
+        solver.calculateLetterFrequency(possibleWords)
+      );
+    }
+
+    // Create weights for unknown positions (0 for green positions)
+    const positionWeights = Array(solver.wordLength).fill(1);
+    Object.keys(solver.getGreenPositions(possibleWords)).forEach((pos) => {
+      positionWeights[parseInt(pos)] = 0;
+    });
+
+    return solver.scoreInformationWords(
+      words,
+      usedLetters,
+      solver.calculateLetterFrequency(possibleWords, positionWeights),
+      possibleWords,
+      positionWeights
+    );
+  },
+};
+
+/**
+ * Shannon entropy of the feedback-pattern partition: the expected number of
+ * bits of information the guess reveals. Patterns are weighted by the word
+ * prior when the solver has a frequency table.
+ */
+const entropy = {
+  name: "entropy",
+  description: "Most expected information (Shannon entropy)",
+  metric: "bits",
+  higherIsBetter: true,
+  format: (value) => `${value.toFixed(2)} bits`,
+  evaluate: (guess, { solver, possibleWords, priorWeights }) =>
+    solver.calculatePartitionScore(guess, possibleWords, priorWeights),
+};
+
+/**
+ * Size of the largest feedback-pattern bucket: the number of words left in
+ * the worst case
+ */
+const minimax = {
+  name: "minimax",
+  description: "Smallest worst-case number of remaining words",
+  metric: "worst case",
+  higherIsBetter: false,
+  format: (value) => `worst case: ${value} words`,
+  evaluate(guess, { solver, possibleWords }) {
+    return Math.max(...solver.getPartition(guess, possibleWords).values());
+  },
+};
+
+/**
+ * Expected number of words left after the guess, assuming every possible
+ * answer is equally likely
+ */
+const expectedSize = {
+  name: "expected-size",
+  description: "Smallest expected number of remaining words",
+  metric: "expected remaining",
+  higherIsBetter: false,
+  format: (value) => `expected remaining: ${value.toFixed(2)} words`,
+  evaluate(guess, { solver, possibleWords }) {
+    let sumOfSquares = 0;
+    for (const count of solver.getPartition(guess, possibleWords).values()) {
+      sumOfSquares += count * count;
+    }
+    return sumOfSquares / possibleWords.length;
+  },
+};
+
+const strategies = {
+  [frequency.name]: frequency,
+  [entropy.name]: entropy,
+  [minimax.name]: minimax,
+  [expectedSize.name]: expectedSize,
+};
+
+const DEFAULT_STRATEGY = entropy.name;
+
+/**
+ * Look up a strategy by name, or validate a custom strategy object
+ * @param {string|Object} strategy - Strategy name or strategy object
+ * @returns {Object} - The strategy
+ */
+function getStrategy(strategy = DEFAULT_STRATEGY) {
+  if (typeof strategy === "string") {
+    if (!strategies[strategy]) {
+      throw new Error(
+        `Unknown strategy "${strategy}". Choose from: ${Object.keys(
+          strategies
+        ).join(", ")}`
+      );
+    }
+    return strategies[strategy];
+  }
+
+  if (
+    !strategy ||
+    typeof strategy.format !== "function" ||
+    (typeof strategy.evaluate !== "function" &&
+      typeof strategy.rank !== "function")
+  ) {
+    throw new Error(
+      "A strategy needs a format() function and an evaluate() or rank() function"
+    );
+  }
+  return strategy;
+}
+
+module.exports = { strategies, DEFAULT_STRATEGY, getStrategy };
@@ -0,0 +1,38 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+const { readBaseline } = require("../benchmark");
+
+test("a missing or malformed baseline gives a clear error", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wordle-benchmark-"));
+  const write = (name, text) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, text);
+    return filePath;
+  };
+
+  assert.throws(
+    () => readBaseline(path.join(dir, "missing.json")),
+    /^Error: Could not read baseline .*missing\.json/
+  );
+  assert.throws(
+    () => readBaseline(write("broken.json", "{ not json")),
+    /^Error: Could not read baseline .*broken\.json/
+  );
+  assert.throws(
+    () => readBaseline(write("other.json", '{ "games": [] }')),
+    /is not a benchmark result/
+  );
+
+  const results = {
+    summary: { averageGuesses: 3.9, failures: 0 },
+    durationMs: 1,
+  };
+  assert.deepStrictEqual(
+    readBaseline(write("results.json", JSON.stringify(results))),
+    results
+  );
+  fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,133 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, spawnSync } = require("child_process");
+const { test } = require("node:test");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+const ANSWERS = ["mummy", "puppy", "fuzzy", "buggy"];
+// Words that share no letters with any of the answers
+const MISSES = ["stare", "clone", "which", "dowel", "shack", "trick"];
+
+/**
+ * Run the CLI in one-shot mode with a throwaway home directory
+ */
+function runCli(args) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "wordle-home-"));
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    encoding: "utf8",
+    env: { ...process.env, HOME: home },
+    timeout: 60000,
+  });
+  fs.rmSync(home, { recursive: true });
+  return result;
+}
+
+test("argument errors are JSON when --json is given", () => {
+  const { status, stdout } = runCli(["--json", "--length", "abc"]);
+  assert.strictEqual(status, 1);
+  assert.deepStrictEqual(JSON.parse(stdout), {
+    error: { code: "invalid_input", message: "--length must be a number" },
+  });
+
+  const unknown = runCli(["--bogus", "--json"]);
+  assert.strictEqual(unknown.status, 1);
+  assert.strictEqual(JSON.parse(unknown.stdout).error.code, "invalid_input");
+});
+
+/**
+ * Run the interactive CLI, typing the next answer whenever it asks a
+ * question. Input ends (as with Ctrl+D) once the answers run out.
+ */
+function runInteractive(home, args, answers) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI, ...args], {
+      env: { ...process.env, HOME: home },
+    });
+    const pending = [...answers];
+    let stdout = "";
+    child.stdout.setEncoding("utf8");
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+      if (!stdout.endsWith(": ")) return;
+      if (pending.length > 0) {
+        child.stdin.write(`${pending.shift()}\n`);
+      } else {
+        child.stdin.end();
+      }
+    });
+    const timer = setTimeout(() => child.kill(), 60000);
+    child.on("close", (status) => {
+      clearTimeout(timer);
+      resolve({ status, stdout });
+    });
+  });
+}
+
+/**
+ * Give a test a home directory holding a small dictionary, and the
+ * options that use it
+ */
+async function withHome(run) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "wordle-home-"));
+  const answers = path.join(home, "answers.txt");
+  const guesses = path.join(home, "guesses.txt");
+  fs.writeFileSync(answers, ANSWERS.join("\n"));
+  fs.writeFileSync(guesses, [...ANSWERS, ...MISSES].join("\n"));
+  const readGames = () =>
+    fs
+      .readFileSync(path.join(home, ".wordle-solver", "games.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+  try {
+    await run({
+      home,
+      args: ["--answers", answers, "--guesses", guesses],
+      readGames,
+    });
+  } finally {
+    fs.rmSync(home, { recursive: true });
+  }
+}
+
+// Word length, one board, no hard mode
+const NEW_GAME = ["5", "1", "n"];
+
+test("solve-mode games past the guess limit are losses", () =>
+  withHome(async ({ home, args, readGames }) => {
+    const misses = MISSES.flatMap((word) => [word, "xxxxx"]);
+    const finish = ["mummy", "ggggg", "n", "y", ...NEW_GAME];
+    await runInteractive(home, args, [
+      ...NEW_GAME,
+      ...misses.slice(0, 2),
+      ...finish,
+      ...misses,
+      ...finish,
+      "q",
+    ]);
+
+    const games = readGames();
+    assert.deepStrictEqual(
+      games.map(({ guesses, solved }) => [guesses.length, solved]),
+      [
+        [2, true],
+        [7, false],
+      ]
+    );
+  }));
+
+test("a quit game is a loss once it isn't resumed", () =>
+  withHome(async ({ home, args, readGames }) => {
+    await runInteractive(home, args, [...NEW_GAME, "stare", "xxxxx", "q"]);
+    const session = path.join(home, ".wordle-solver", "session.json");
+    assert.ok(fs.existsSync(session));
+
+    const { stdout } = await runInteractive(home, args, ["n"]);
+    assert.match(stdout, /Resume your unfinished 5-letter solve game/);
+    const [game] = readGames();
+    assert.strictEqual(game.solved, false);
+    assert.deepStrictEqual(game.guesses, ["stare"]);
+    assert.ok(!fs.existsSync(session));
+  }));
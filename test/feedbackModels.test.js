@@ -0,0 +1,65 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const WordleSolver = require("../wordleSolver");
+const { getFeedbackModel, describeFeedback } = require("../feedbackModels");
+
+const WORDS = ["least", "steal", "slate", "tales", "cigar", "humph", "rebut"];
+
+function createSolver(feedback) {
+  return new WordleSolver(5, {
+    answers: WORDS,
+    guesses: WORDS,
+    cacheDir: null,
+    feedback,
+  });
+}
+
+test("jotto reads a win as solved", () => {
+  const jotto = getFeedbackModel("jotto");
+  assert.strictEqual(jotto.parse(" Solved ", 5), "solved");
+  assert.strictEqual(jotto.parse("win", 5), "solved");
+  assert.strictEqual(jotto.parse("5 correct", 5), "5");
+  assert.throws(() => jotto.parse("6", 5), /from 0 to 5/);
+  assert.ok(jotto.isSolved("solved", 5));
+  assert.ok(!jotto.isSolved("5", 5));
+  assert.strictEqual(describeFeedback("solved"), "solved");
+});
+
+test("a jotto game ends when the answer is guessed", () => {
+  const solver = createSolver("jotto");
+  assert.strictEqual(solver.getFeedback("steal", "steal"), "solved");
+  assert.strictEqual(solver.getFeedback("least", "steal"), "5");
+
+  // An anagram shares every letter but isn't the word
+  const history = [{ guess: "least", feedback: "5" }];
+  assert.deepStrictEqual(solver.findPossibleWords(history).sort(), [
+    "slate",
+    "steal",
+    "tales",
+  ]);
+
+  history.push({ guess: "steal", feedback: "solved" });
+  assert.deepStrictEqual(solver.findPossibleWords(history), ["steal"]);
+  assert.ok(solver.isSolvedFeedback(history[1].feedback));
+});
+
+test("a solved jotto guess can be the first one", () => {
+  const solver = createSolver("jotto");
+  assert.deepStrictEqual(
+    solver.findPossibleWords([{ guess: "cigar", feedback: "solved" }]),
+    ["cigar"]
+  );
+});
+
+test("mastermind keeps the guess only when every letter is in place", () => {
+  const solver = createSolver("mastermind");
+  assert.deepStrictEqual(
+    solver.findPossibleWords([{ guess: "tales", feedback: "5,0" }]),
+    ["tales"]
+  );
+  assert.ok(
+    !solver
+      .findPossibleWords([{ guess: "tales", feedback: "1,4" }])
+      .includes("tales")
+  );
+});
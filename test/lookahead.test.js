@@ -0,0 +1,89 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const WordleSolver = require("../wordleSolver");
+const { resolveLookahead, LookaheadSearch } = require("../lookahead");
+
+const WORDS = (
+  "cigar vicar rebut sissy humph awake blush focal " +
+  "evade naval serve heath dwarf model karma stink " +
+  "grade quiet bench abate feign major death fresh " +
+  "crust stool colon abase marry react batty pride " +
+  "floss helix croak staff paper unfed whelp trawl"
+).split(" ");
+
+/**
+ * Run a search and record every guess it evaluates, with the history of
+ * the line that led to it
+ */
+function recordSearch(options, settings = {}) {
+  const solver = new WordleSolver(5, {
+    answers: WORDS,
+    guesses: WORDS,
+    cacheDir: null,
+    ...options,
+  });
+  const search = new LookaheadSearch(
+    solver,
+    resolveLookahead({ depth: 3, beam: 5, timeBudget: null, ...settings })
+  );
+  const evaluated = [];
+  const evaluate = search.evaluate.bind(search);
+  search.evaluate = (guess, words, depth, remaining, history) => {
+    evaluated.push({ guess, depth, history });
+    return evaluate(guess, words, depth, remaining, history);
+  };
+  const result = search.search(solver.findPossibleWords([]));
+  return { solver, search, evaluated, result };
+}
+
+test("hard mode lookahead only plays legal guesses in every line", () => {
+  const { solver, evaluated, result } = recordSearch({ hardMode: true });
+  assert.ok(result.complete);
+  assert.ok(evaluated.some(({ history }) => history.length > 1));
+  evaluated.forEach(({ guess, history }) =>
+    assert.strictEqual(
+      solver.getHardModeViolation(guess, history),
+      null,
+      `${guess} breaks hard mode after ${history
+        .map((row) => row.guess)
+        .join(", ")}`
+    )
+  );
+});
+
+test("lookahead without hard mode may probe with any word", () => {
+  const { solver, evaluated } = recordSearch({ hardMode: false });
+  assert.ok(
+    evaluated.some(
+      ({ guess, history }) =>
+        solver.getHardModeViolation(guess, history) !== null
+    )
+  );
+});
+
+test("the time budget is checked between the guesses of a position", () => {
+  const solver = new WordleSolver(5, {
+    answers: WORDS,
+    guesses: WORDS,
+    cacheDir: null,
+  });
+  const search = new LookaheadSearch(
+    solver,
+    resolveLookahead({ depth: 2, beam: 5, timeBudget: null })
+  );
+  let innerCalls = 0;
+  const evaluate = search.evaluate.bind(search);
+  search.evaluate = (guess, words, depth, remaining, history) => {
+    if (depth < 2) {
+      innerCalls++;
+      // The budget runs out while the first guess is being checked
+      search.deadline = 0;
+    }
+    return evaluate(guess, words, depth, remaining, history);
+  };
+
+  const result = search.search(solver.findPossibleWords([]));
+  assert.strictEqual(innerCalls, 1);
+  assert.strictEqual(result.complete, false);
+  assert.ok(result.fallback);
+});
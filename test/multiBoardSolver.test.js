@@ -0,0 +1,61 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const MultiBoardSolver = require("../multiBoardSolver");
+
+const WORDS = ["cigar", "vicar", "rebut", "sissy", "humph", "awake", "blush"];
+
+function createSolver(options = {}) {
+  return new MultiBoardSolver(5, 2, {
+    answers: WORDS,
+    guesses: WORDS,
+    cacheDir: null,
+    ...options,
+  });
+}
+
+test("solve chances follow the word prior", () => {
+  const multi = createSolver({ frequencies: { cigar: 1000000, vicar: 1 } });
+  multi.addGuess("humph", ["xxxxx", "xxxxx"]);
+
+  const cigar = multi.calculateSolveChance("cigar");
+  const vicar = multi.calculateSolveChance("vicar");
+  assert.ok(cigar > vicar, `${cigar} should be more than ${vicar}`);
+  const total = multi.boards[0].possibleWords.reduce(
+    (sum, word) => sum + multi.calculateSolveChance(word, [0]),
+    0
+  );
+  assert.ok(Math.abs(total - 1) < 1e-9);
+});
+
+test("hard mode applies every unsolved board's hints", () => {
+  const multi = createSolver({ hardMode: true });
+  // Board 1 narrows down to CIGAR, board 2 reveals nothing
+  multi.addGuess("humph", ["xxxxx", "xxxxx"]);
+  multi.addGuess("vicar", ["xgygg", "xxxxx"]);
+
+  assert.deepStrictEqual(multi.boards[0].possibleWords, ["cigar"]);
+  assert.match(multi.getHardModeViolation("sissy"), /^Board 1: /);
+  assert.strictEqual(multi.getHardModeViolation("cigar"), null);
+  const { finishingGuesses, informationGuesses } = multi.suggestGuesses();
+  [...finishingGuesses, ...informationGuesses].forEach(({ word }) =>
+    assert.strictEqual(multi.getHardModeViolation(word), null)
+  );
+});
+
+test("undo takes the last guess back off the boards it was played on", () => {
+  const multi = createSolver();
+  multi.addGuess("cigar", ["ggggg", "xxxxx"]);
+  multi.addGuess("sissy", [null, "xxxxx"]);
+
+  assert.strictEqual(multi.undoGuess(), "sissy");
+  assert.strictEqual(multi.boards[0].solvedWith, "cigar");
+  assert.strictEqual(multi.boards[1].history.length, 1);
+
+  assert.strictEqual(multi.undoGuess(), "cigar");
+  assert.strictEqual(multi.boards[0].solvedWith, null);
+  assert.deepStrictEqual(
+    multi.boards[0].possibleWords,
+    multi.solver.findPossibleWords([])
+  );
+  assert.strictEqual(multi.undoGuess(), null);
+});
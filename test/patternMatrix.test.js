@@ -0,0 +1,80 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+const {
+  MAX_CACHED_MATRICES,
+  PatternMatrix,
+  computePattern,
+} = require("../patternMatrix");
+
+const WORDS = ["crane", "slate", "cigar", "rebut", "sissy", "humph", "awake"];
+
+function makeCacheDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "wordle-cache-"));
+}
+
+function cachedFiles(cacheDir) {
+  return fs.readdirSync(cacheDir).filter((name) => name.endsWith(".bin"));
+}
+
+test("caches for two dictionaries of the same length exist side by side", () => {
+  const cacheDir = makeCacheDir();
+  const first = new PatternMatrix(WORDS, WORDS, 5, { cacheDir });
+  const second = new PatternMatrix(WORDS.slice(2), WORDS.slice(2), 5, {
+    cacheDir,
+  });
+  first.ensureBuilt();
+  second.ensureBuilt();
+
+  assert.strictEqual(cachedFiles(cacheDir).length, 2);
+  assert.ok(first.isCached());
+  assert.ok(second.isCached());
+  assert.ok(new PatternMatrix(WORDS, WORDS, 5, { cacheDir }).load());
+  fs.rmSync(cacheDir, { recursive: true });
+});
+
+test("only the most recently used cached matrices are kept", () => {
+  const cacheDir = makeCacheDir();
+  const matrices = Array.from(
+    { length: MAX_CACHED_MATRICES },
+    (_, i) => new PatternMatrix(WORDS.slice(i), WORDS.slice(i), 5, { cacheDir })
+  );
+  matrices.forEach((matrix, i) => {
+    matrix.ensureBuilt();
+    // Make the order of use unambiguous
+    const used = new Date(Date.UTC(2020, 0, i + 1));
+    fs.utimesSync(matrix.getCachePath(), used, used);
+  });
+
+  // Loading the oldest marks it as used, so the second oldest goes instead
+  assert.ok(
+    new PatternMatrix(WORDS, WORDS, 5, { cacheDir }).ensureBuilt() &&
+      matrices[0].isCached()
+  );
+  new PatternMatrix(["humph", "awake"], ["humph"], 5, {
+    cacheDir,
+  }).ensureBuilt();
+
+  assert.strictEqual(cachedFiles(cacheDir).length, MAX_CACHED_MATRICES);
+  assert.ok(matrices[0].isCached());
+  assert.ok(!matrices[1].isCached());
+  fs.rmSync(cacheDir, { recursive: true });
+});
+
+test("dictionaries too big to build get their rows computed on demand", () => {
+  const cacheDir = makeCacheDir();
+  const matrix = new PatternMatrix(WORDS, WORDS, 5, { cacheDir, maxCells: 1 });
+
+  assert.ok(!matrix.isSupported());
+  for (const guess of WORDS) {
+    assert.deepStrictEqual(
+      matrix.getPatterns(guess, WORDS),
+      WORDS.map((answer) => computePattern(guess, answer))
+    );
+  }
+  assert.strictEqual(matrix.rows.size, WORDS.length);
+  assert.deepStrictEqual(cachedFiles(cacheDir), []);
+  fs.rmSync(cacheDir, { recursive: true });
+});
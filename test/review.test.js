@@ -0,0 +1,52 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { prepareGame } = require("../review");
+
+const WORDS = ["cigar", "vicar", "rebut", "sissy", "humph", "awake", "blush"];
+
+function createGame(rows, extra = {}) {
+  return {
+    wordLength: 5,
+    dictionary: { answers: WORDS, guesses: WORDS },
+    rows,
+    ...extra,
+  };
+}
+
+test("feedback that fits the answer is kept", () => {
+  const game = createGame([
+    { guess: "vicar", feedback: "xgygg" },
+    { guess: "cigar", feedback: "ggggg" },
+  ]);
+  const { history, answer } = prepareGame(game, { answer: "CIGAR" });
+  assert.strictEqual(answer, "cigar");
+  assert.deepStrictEqual(
+    history.map(({ feedback }) => feedback),
+    ["XGYGG", "GGGGG"]
+  );
+});
+
+test("feedback that doesn't fit the answer is rejected", () => {
+  const game = createGame([
+    { guess: "vicar", feedback: "xgygg" },
+    { guess: "cigar", feedback: "ggggg" },
+  ]);
+  assert.throws(
+    () => prepareGame(game, { answer: "rebut" }),
+    /^Error: Guess 1 \(vicar\): feedback XGYGG doesn't match the answer rebut, which gives XXXXY$/
+  );
+});
+
+test("the answer saved with the game is checked too", () => {
+  const game = createGame([{ guess: "humph", feedback: "xxxxx" }], {
+    answer: "blush",
+  });
+  assert.throws(() => prepareGame(game, {}), /doesn't match the answer blush/);
+});
+
+test("lying feedback isn't checked against the answer", () => {
+  const game = createGame([{ guess: "vicar", feedback: "ggggg" }], {
+    lies: 1,
+  });
+  assert.doesNotThrow(() => prepareGame(game, { answer: "cigar" }));
+});
@@ -0,0 +1,66 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { SessionStore, createServer } = require("../server");
+
+const WORDS = ["cigar", "vicar", "rebut", "sissy", "humph", "awake", "blush"];
+
+/**
+ * Serve a fresh store on a free port while running a test
+ */
+async function withServer(run) {
+  const store = new SessionStore({
+    answers: WORDS,
+    guesses: WORDS,
+    cacheDir: null,
+  });
+  const server = createServer({ store });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (route, body) =>
+    fetch(`${base}${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  try {
+    await run({ store, post });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("a rejected session request leaves no session behind", async () => {
+  await withServer(async ({ store, post }) => {
+    const badLimit = await post("/sessions?limit=0", { length: 5 });
+    assert.strictEqual(badLimit.status, 400);
+    assert.strictEqual((await badLimit.json()).error.code, "invalid_input");
+
+    const badHardMode = await post("/sessions", {
+      length: 5,
+      hardMode: "false",
+    });
+    assert.strictEqual(badHardMode.status, 400);
+    assert.match((await badHardMode.json()).error.message, /hardMode/);
+
+    assert.strictEqual(store.sessions.size, 0);
+
+    const created = await post("/sessions?limit=2", {
+      length: 5,
+      hardMode: false,
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(store.sessions.size, 1);
+  });
+});
+
+test("a guess with a bad limit is not recorded", async () => {
+  await withServer(async ({ store, post }) => {
+    const { id } = await (await post("/sessions", { length: 5 })).json();
+    const response = await post(`/sessions/${id}/guesses?limit=x`, {
+      guess: "humph",
+      feedback: "xxxxx",
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(store.sessions.get(id).history, []);
+  });
+});
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const path = require("path");
+const { getLocale, normalizeWord } = require("./locales");
+
+// Parsed frequency tables, keyed by locale and absolute path
+const cache = new Map();
+
+/**
+ * Parse word-frequency lines such as "about 1226734006". The word and its
+ * count may be separated by spaces, tabs or a comma; blank lines, comments
+ * (starting with #) and lines without a valid count are skipped.
+ * @param {Array} lines - Lines of a frequency table
+ * @param {string|Object} locale - Locale of the words (see locales.js)
+ * @returns {Map} - Map of normalized words to counts (repeated words, such
+ *   as spellings that only differ by folded accents, are summed)
+ */
+function parseWordFrequencies(lines, locale) {
+  const frequencies = new Map();
+
+  lines.forEach((line) => {
+    const entry = line.trim();
+    if (entry === "" || entry.startsWith("#")) return;
+
+    const [word, count] = entry.split(/[\s,]+/);
+    const value = Number(count);
+    const normalized = normalizeWord(word, locale);
+    if (!normalized || !Number.isFinite(value) || value < 0) {
+      return;
+    }
+
+    frequencies.set(normalized, (frequencies.get(normalized) || 0) + value);
+  });
+
+  return frequencies;
+}
+
+/**
+ * Load a word-frequency table file (one "word count" pair per line).
+ * Files are only read once; later calls return the cached table.
+ * @param {string} filePath - Path to the frequency table
+ * @param {string|Object} locale - Locale of the words (defaults to English)
+ * @returns {Map} - Map of normalized words to counts
+ */
+function loadWordFrequencies(filePath, locale) {
+  const resolvedLocale = getLocale(locale);
+  const resolvedPath = path.resolve(filePath);
+  const key = `${resolvedLocale.key}\n${resolvedPath}`;
+
+  if (!cache.has(key)) {
+    let contents;
+    try {
+      contents = fs.readFileSync(resolvedPath, "utf8");
+    } catch (error) {
+      throw new Error(
+        `Could not read word frequencies ${filePath}: ${error.message}`
+      );
+    }
+    cache.set(key, parseWordFrequencies(contents.split("\n"), resolvedLocale));
+  }
+
+  return cache.get(key);
+}
+
+module.exports = { parseWordFrequencies, loadWordFrequencies };
@@ -1,40 +1,73 @@
 const fs = require("fs");
 const path = require("path");
+const { getLocale, normalizeWord } = require("./locales");
 
-const wordListPath = path.join(
+const DEFAULT_WORD_LIST_PATH = path.join(
   __dirname,
   "node_modules",
   "word-list",
   "words.txt"
 );
-const allWords = fs.readFileSync(wordListPath, "utf8").split("\n");
 
-// Create a map of word lengths to word lists
-const wordLists = new Map();
+// Parsed word list files, keyed by locale and absolute path
+const cache = new Map();
 
-// Filter words by length and store them in the map
-allWords.forEach((word) => {
-  if (/^[a-zA-Z]+$/.test(word)) {
-    // Only include words with letters
-    const length = word.length;
-    const lowerWord = word.toLowerCase();
+/**
+ * Group words by length
+ * @param {Array} words - Words to group (invalid entries are skipped)
+ * @param {string|Object} locale - Locale whose alphabet and folding rules
+ *   apply (see locales.js). Defaults to English.
+ * @returns {Map} - Map of word lengths to sorted arrays of normalized words
+ */
+function groupWordsByLength(words, locale) {
+  // Create a map of word lengths to word lists
+  const wordLists = new Map();
 
-    if (!wordLists.has(length)) {
-      wordLists.set(length, new Set());
+  // Filter words by length and store them in the map
+  words.forEach((entry) => {
+    // Only include words made of the locale's letters
+    const word = normalizeWord(entry, locale);
+    if (word) {
+      const length = word.length;
+
+      if (!wordLists.has(length)) {
+        wordLists.set(length, new Set());
+      }
+      wordLists.get(length).add(word);
     }
-    wordLists.get(length).add(lowerWord);
+  });
+
+  // Convert Sets to sorted arrays
+  for (const [length, wordSet] of wordLists) {
+    wordLists.set(length, Array.from(wordSet).sort());
   }
-});
 
-// Convert Sets to sorted arrays
-for (const [length, wordSet] of wordLists) {
-  wordLists.set(length, Array.from(wordSet).sort());
+  return wordLists;
 }
 
-// Log available word lengths and counts
-console.log("\nAvailable word lengths and counts:");
-for (const [length, words] of wordLists) {
-  console.log(`${length}-letter words: ${words.length}`);
+/**
+ * Load a word list file (one word per line) and group its words by length.
+ * Files are only read once per locale; later calls return the cached lists.
+ * @param {string} filePath - Path to the word list (defaults to the bundled dictionary)
+ * @param {string|Object} locale - Locale of the words (defaults to English)
+ * @returns {Map} - Map of word lengths to sorted arrays of words
+ */
+function loadWordLists(filePath = DEFAULT_WORD_LIST_PATH, locale) {
+  const resolvedLocale = getLocale(locale);
+  const resolvedPath = path.resolve(filePath);
+  const key = `${resolvedLocale.key}\n${resolvedPath}`;
+
+  if (!cache.has(key)) {
+    let contents;
+    try {
+      contents = fs.readFileSync(resolvedPath, "utf8");
+    } catch (error) {
+      throw new Error(`Could not read word list ${filePath}: ${error.message}`);
+    }
+    cache.set(key, groupWordsByLength(contents.split("\n"), resolvedLocale));
+  }
+
+  return cache.get(key);
 }
 
-module.exports = wordLists;
+module.exports = { DEFAULT_WORD_LIST_PATH, groupWordsByLength, loadWordLists };
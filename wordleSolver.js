@@ -1,22 +1,165 @@
-const wordLists = require("./wordList");
+const fs = require("fs");
+const { groupWordsByLength, loadWordLists } = require("./wordList");
+const { loadWordFrequencies } = require("./wordFrequency");
+const { getLocale, normalizeWord } = require("./locales");
+const WordConstraints = require("./constraints");
+const { getStrategy } = require("./strategies");
+const { PatternMatrix } = require("./patternMatrix");
+const { parseShareGrid, findGridAnswers } = require("./shareGrid");
+const { diagnoseHistory } = require("./consistency");
+const { suggestGuessesInParallel } = require("./parallelScoring");
+const { findLyingCandidates, getLieChances } = require("./lies");
+const { getFeedbackModel, countFeedback } = require("./feedbackModels");
+const { resolveLookahead, LookaheadSearch } = require("./lookahead");
+
+/**
+ * Resolve a word list option into a map of word lengths to words
+ * @param {string|Array} source - Path to a word list file, or an array of words
+ * @param {Object} locale - Locale of the words
+ * @returns {Map|null} - Words grouped by length, or null if no source was given
+ */
+function resolveWordLists(source, locale) {
+  if (source === undefined || source === null) {
+    return null;
+  }
+  return Array.isArray(source)
+    ? groupWordsByLength(source, locale)
+    : loadWordLists(source, locale);
+}
+
+/**
+ * Resolve a word-frequency option into a map of words to counts
+ * @param {string|Map|Object} source - Path to a frequency table, a Map, or
+ *   an object of word -> count
+ * @param {Object} locale - Locale of the words
+ * @returns {Map|null} - Word counts, or null if no source was given
+ */
+function resolveWordFrequencies(source, locale) {
+  if (source === undefined || source === null) {
+    return null;
+  }
+  if (typeof source === "string") {
+    return loadWordFrequencies(source, locale);
+  }
+  const entries = source instanceof Map ? source : Object.entries(source);
+  return new Map(
+    Array.from(entries, ([word, count]) => [
+      normalizeWord(word, locale) || word.toLowerCase(),
+      count,
+    ])
+  );
+}
 
 class WordleSolver {
-  constructor(wordLength) {
+  /**
+   * @param {number} wordLength - Length of the words to solve
+   * @param {Object} options - Solver options
+   * @param {boolean} options.hardMode - Only suggest guesses that are legal
+   *   under Wordle's hard-mode rules
+   * @param {string|Array} options.answers - Word list file (or array of words)
+   *   of likely answers. Defaults to the guess list.
+   * @param {string|Array} options.guesses - Word list file (or array of words)
+   *   of accepted guesses. Defaults to the bundled dictionary.
+   * @param {string|Object} options.strategy - Scoring strategy name (see
+   *   strategies.js) or a custom strategy object. Defaults to entropy.
+   * @param {string|null} options.cacheDir - Directory for the precomputed
+   *   feedback-pattern cache, or null to keep it in memory only
+   * @param {string|Map|Object} options.frequencies - Word-frequency table
+   *   (file of "word count" lines, or word -> count) used as a prior on
+   *   which words are likely answers. Without one every word is equally likely.
+   * @param {string|Object} options.locale - Locale code (see locales.js) or
+   *   custom locale: picks the default dictionary, the alphabet and how
+   *   accented letters are compared. Defaults to English.
+   * @param {number} options.lies - Tiles in each feedback row that show the
+   *   wrong color, for Fibble-style games. Defaults to 0 (honest feedback).
+   * @param {string} options.feedback - Feedback model (see feedbackModels.js):
+   *   "tiles" (default) for Wordle's colors, or "jotto" / "mastermind" for
+   *   games that only give letter counts
+   * @param {Object|boolean} options.lookahead - Search settings (see
+   *   lookahead.js) used by chooseGuess to look several guesses ahead, or
+   *   true for the defaults. Off by default.
+   */
+  constructor(wordLength, options = {}) {
     this.weight = {
       uniqueLetters: 10,
       letterFrequency: 1,
       informationGain: 15, // New weight for information gathering
+      // Prior weight of a word is (count + 1) ^ frequencyExponent, which
+      // damps the huge spread of raw counts
+      frequencyExponent: 0.5,
     };
     this.wordLength = wordLength;
-    this.wordList = wordLists.get(wordLength) || [];
-    // Keep a separate list of all words of this length for information guesses
-    this.allWordList = [...this.wordList];
+    this.hardMode = Boolean(options.hardMode);
+    this.strategy = getStrategy(options.strategy);
+    this.locale = getLocale(options.locale);
+    this.lies = options.lies || 0;
+    if (
+      !Number.isInteger(this.lies) ||
+      this.lies < 0 ||
+      this.lies >= wordLength
+    ) {
+      throw new Error(
+        `The number of lies per row must be a whole number from 0 to ${
+          wordLength - 1
+        }`
+      );
+    }
+    if (this.lies > 0 && this.hardMode) {
+      throw new Error("Hard mode can't be used when the feedback lies");
+    }
+    this.feedbackModel = getFeedbackModel(options.feedback);
+    if (
+      this.feedbackModel.name !== "tiles" &&
+      (this.lies > 0 || this.hardMode)
+    ) {
+      throw new Error(
+        "Lies and hard mode need per-tile feedback, not letter counts"
+      );
+    }
+    this.lookahead = resolveLookahead(options.lookahead);
+    if (this.lookahead && this.lies > 0) {
+      throw new Error("Lookahead needs feedback that doesn't lie");
+    }
+    // Kept so scoring workers can build an identical solver
+    this.options = options;
+
+    // Possible answers are used for filtering and solution guesses, while
+    // information guesses may be any accepted guess
+    const { answerLists, guessLists } = WordleSolver.loadDictionaries(options);
+    this.wordList = answerLists.get(wordLength) || [];
     if (this.wordList.length === 0) {
       throw new Error(`No ${wordLength}-letter words found in dictionary`);
     }
+    // Every possible answer is also an accepted guess
+    this.allWordList = Array.from(
+      new Set([...(guessLists.get(wordLength) || []), ...this.wordList])
+    ).sort();
+    this.answerSet = new Set(this.wordList);
+    this.guessSet = new Set(this.allWordList);
+    this.wordFrequencies = resolveWordFrequencies(
+      options.frequencies,
+      this.locale
+    );
+
+    // Feedback patterns for every guess/answer pair, built on first use
+    this.cacheDir = options.cacheDir;
+    this.patternMatrix = null;
+  }
 
-    // Precompute first guess scores
-    this.firstGuessScores = null;
+  /**
+   * Get the precomputed feedback-pattern matrix for this dictionary
+   * @returns {PatternMatrix} - Matrix of pattern codes (built lazily)
+   */
+  getPatternMatrix() {
+    if (!this.patternMatrix) {
+      this.patternMatrix = new PatternMatrix(
+        this.allWordList,
+        this.wordList,
+        this.wordLength,
+        { cacheDir: this.cacheDir }
+      );
+    }
+    return this.patternMatrix;
   }
 
   /**
@@ -24,8 +167,13 @@ class WordleSolver {
    * @returns {Object} Initial guess suggestions
    */
   getInitialGuesses() {
-    // These are pre-selected good starting words for 5-letter Wordle
-    if (this.wordLength === 5) {
+    // These are pre-selected good starting words for 5-letter Wordle, as long
+    // as the answer list includes them
+    const presets = ["stare", "crane", "trace", "slate", "crate"];
+    if (
+      this.wordLength === 5 &&
+      presets.every((word) => this.answerSet.has(word))
+    ) {
       return {
         solutionGuesses: [
           { word: "stare", score: 100, type: "solution" },
@@ -44,108 +192,253 @@ class WordleSolver {
       };
     }
 
-    // For other lengths, do a quick frequency-based calculation
+    // For other lengths, do a quick frequency-based calculation. Letter
+    // frequencies come from the answers, but information guesses may be
+    // any accepted guess.
     const letterFreq = this.calculateLetterFrequency(this.wordList);
-    const quickScores = this.wordList
-      .map((word) => {
-        const uniqueLetters = new Set(word.split(""));
-        let score = uniqueLetters.size * this.weight.uniqueLetters;
-        for (const letter of uniqueLetters) {
-          score += letterFreq[letter].total * this.weight.letterFrequency;
-        }
-        return { word, score, type: "solution" };
-      })
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 5);
+    const quickScores = (words, type) =>
+      words
+        .map((word) => {
+          const uniqueLetters = new Set(word.split(""));
+          let score = uniqueLetters.size * this.weight.uniqueLetters;
+          for (const letter of uniqueLetters) {
+            if (letterFreq[letter]) {
+              score += letterFreq[letter].total * this.weight.letterFrequency;
+            }
+          }
+          return { word, score, type };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 5);
 
     return {
-      solutionGuesses: quickScores,
-      informationGuesses: quickScores,
+      solutionGuesses: quickScores(this.wordList, "solution"),
+      informationGuesses: quickScores(this.allWordList, "information"),
     };
   }
 
+  /**
+   * Put a typed word into the form used by the word lists, applying the
+   * locale's folding rules (e.g. "Árbol" -> "arbol" in Spanish)
+   * @param {string} word - Word as typed
+   * @returns {string|null} - Normalized word, or null if it has letters
+   *   outside the locale's alphabet
+   */
+  normalizeWord(word) {
+    return normalizeWord(word, this.locale);
+  }
+
   /**
    * Find possible words based on the feedback from previous guesses
-   * @param {Object} greenLetters - Object with index positions (0-based) as keys and letters as values
-   * @param {Object} yellowLetters - Object with index positions (0-based) as keys and arrays of letters as values
-   * @param {Array} greyLetters - Array of letters that are not in the word
-   * @returns {Array} - List of possible words
-   */
-  findPossibleWords(greenLetters = {}, yellowLetters = {}, greyLetters = []) {
-    // Remove duplicates from grey letters
-    const uniqueGreyLetters = [...new Set(greyLetters)];
-
-    // Get all confirmed letters (green + yellow)
-    const confirmedLetters = new Set();
-    Object.values(greenLetters).forEach((letter) =>
-      confirmedLetters.add(letter)
+   * @param {Array} history - Array of { guess, feedback } pairs, where feedback
+   *   is a g/y/x string (case-insensitive) as produced by simulateFeedback
+   * @returns {Array} - List of possible words. When the feedback lies, these
+   *   are the words that fit with exactly that many wrong tiles per row.
+   */
+  findPossibleWords(history = []) {
+    if (this.lies > 0) {
+      return findLyingCandidates(this, history, this.lies);
+    }
+    if (this.isCountsOnly()) {
+      return this.findCountCandidates(history);
+    }
+    const constraints = this.getConstraints(history);
+    return this.wordList.filter((word) => constraints.matches(word));
+  }
+
+  /**
+   * Find the answers that would get the same letter counts as every guess
+   * in the history. The guess itself only gets solved feedback, so a guess
+   * that didn't win is ruled out along with the words it doesn't fit.
+   */
+  findCountCandidates(history) {
+    let candidates = this.wordList;
+    history.forEach(({ guess, feedback }) => {
+      const word = this.normalizeWord(guess) || guess.toLowerCase();
+      const expected = this.normalizeFeedback(feedback);
+      const patterns = this.getPatternMatrix().getPatterns(word, candidates);
+      candidates = candidates.filter(
+        (answer, i) =>
+          countFeedback(this.feedbackModel, patterns[i], this.wordLength) ===
+          expected
+      );
+    });
+    return candidates;
+  }
+
+  /**
+   * Check whether the game only reports letter counts (Jotto, Mastermind)
+   * rather than a color per tile
+   */
+  isCountsOnly() {
+    return this.feedbackModel.name !== "tiles";
+  }
+
+  /**
+   * Put typed feedback into the feedback model's canonical form
+   * @param {string} feedback - e.g. "gyxxg" or a share-grid row for tiles,
+   *   "3" or "solved" for Jotto, "2 1" for Mastermind
+   * @returns {string} - e.g. "GYXXG", "3" or "2,1"
+   */
+  normalizeFeedback(feedback) {
+    return this.feedbackModel.parse(feedback, this.wordLength);
+  }
+
+  /**
+   * Get the feedback a guess would get in this solver's feedback model.
+   * Same as simulateFeedback for Wordle's tiles.
+   * @param {string} guess - The guessed word
+   * @param {string} answer - The hidden word
+   * @returns {string} - e.g. "GYXXG", "3" or "2,1"
+   */
+  getFeedback(guess, answer) {
+    if (!this.isCountsOnly()) {
+      return this.simulateFeedback(guess, answer);
+    }
+    return countFeedback(
+      this.feedbackModel,
+      this.getPatternMatrix().getPattern(guess, answer),
+      this.wordLength
     );
-    Object.values(yellowLetters).forEach((letters) =>
-      letters.forEach((letter) => confirmedLetters.add(letter))
+  }
+
+  /**
+   * Check whether feedback means the guess was the answer
+   */
+  isSolvedFeedback(feedback) {
+    return this.feedbackModel.isSolved(feedback, this.wordLength);
+  }
+
+  /**
+   * Check whether a word-frequency table was loaded
+   */
+  hasPriors() {
+    return this.wordFrequencies !== null;
+  }
+
+  /**
+   * Get the unnormalized prior weight of each word
+   * @param {Array} words - Words to weigh
+   * @returns {Array|null} - Weights in the same order as the words, or null
+   *   if no frequency table was loaded (every word equally likely)
+   */
+  getPriorWeights(words) {
+    if (!this.hasPriors()) return null;
+    const exponent = this.weight.frequencyExponent;
+    return words.map(
+      (word) => ((this.wordFrequencies.get(word) || 0) + 1) ** exponent
     );
+  }
 
-    // Only consider a letter as truly grey if it's not confirmed in another position
-    const trueGreyLetters = uniqueGreyLetters.filter(
-      (letter) => !confirmedLetters.has(letter)
+  /**
+   * Estimate the chance of each word being the answer
+   * @param {Array} words - Possible answers
+   * @returns {Map} - Map of word -> probability (summing to 1)
+   */
+  getPriors(words) {
+    const weights = this.getPriorWeights(words);
+    const total = weights ? weights.reduce((sum, w) => sum + w, 0) : 0;
+    return new Map(
+      words.map((word, index) => [
+        word,
+        weights ? weights[index] / total : 1 / words.length,
+      ])
     );
+  }
 
-    return this.wordList.filter((word) => {
-      // Check green letters (must be in exact positions)
-      for (const [index, letter] of Object.entries(greenLetters)) {
-        if (word[parseInt(index)] !== letter) {
-          return false;
-        }
-      }
+  /**
+   * Read the feedback rows of a pasted share grid (🟩🟨⬛/⬜ or the
+   * high-contrast 🟧🟦 tiles)
+   * @param {string} text - Pasted share text, header lines included
+   * @returns {Array} - Feedback strings such as "XYXXG", one per row
+   */
+  parseShareGrid(text) {
+    const rows = parseShareGrid(text);
+    if (rows.length === 0) {
+      throw new Error("No share-grid rows found");
+    }
+    const badRow = rows.findIndex((row) => row.length !== this.wordLength);
+    if (badRow !== -1) {
+      throw new Error(
+        `Row ${badRow + 1} of the grid has ${
+          rows[badRow].length
+        } tiles, expected ${this.wordLength}`
+      );
+    }
+    return rows;
+  }
 
-      // Check yellow letters
-      for (const [index, letters] of Object.entries(yellowLetters)) {
-        const idx = parseInt(index);
-        // Letter shouldn't be in this position
-        if (letters.includes(word[idx])) {
-          return false;
-        }
-        // But must be somewhere in the word
-        for (const letter of letters) {
-          if (!word.includes(letter)) {
-            return false;
-          }
-        }
-      }
+  /**
+   * Find the hidden words that could have produced a share grid when the
+   * guesses are unknown
+   * @param {Array} rows - Feedback strings, e.g. from parseShareGrid
+   * @returns {Array} - { word, counts, examples } per consistent answer (see
+   *   findGridAnswers in shareGrid.js)
+   */
+  findGridAnswers(rows) {
+    return findGridAnswers(this, rows);
+  }
 
-      // Check grey letters (only if they're not confirmed elsewhere)
-      for (const letter of trueGreyLetters) {
-        if (word.includes(letter)) {
-          return false;
-        }
-      }
+  /**
+   * Work out why no word fits a guess history: feedback no word could give,
+   * the smallest sets of rows that contradict each other, and the rows most
+   * likely to hold a typo
+   * @param {Array} history - Array of { guess, feedback } pairs
+   * @returns {Object} - { consistent, rowProblems, conflicts, suspects } (see
+   *   diagnoseHistory in consistency.js)
+   */
+  diagnoseHistory(history = []) {
+    return diagnoseHistory(this, history);
+  }
 
-      // For letters that appear as both yellow/green AND grey,
-      // check that the word doesn't have MORE occurrences than confirmed
-      const letterCounts = new Map();
-      // Count confirmed occurrences (green + yellow)
-      Object.values(greenLetters).forEach((letter) => {
-        letterCounts.set(letter, (letterCounts.get(letter) || 0) + 1);
-      });
-      Object.values(yellowLetters).forEach((letters) => {
-        letters.forEach((letter) => {
-          letterCounts.set(letter, (letterCounts.get(letter) || 0) + 1);
-        });
-      });
+  /**
+   * Work out how likely each tile of each row is to be one of the lies, for
+   * solvers whose feedback lies
+   * @param {Array} history - Array of { guess, feedback } pairs
+   * @param {Array} possibleWords - Words that fit the history
+   * @returns {Array} - { guess, feedback, chances } per row (see
+   *   getLieChances in lies.js)
+   */
+  getLieChances(history, possibleWords) {
+    return getLieChances(this, history, possibleWords);
+  }
 
-      // Check if word has more occurrences than confirmed for any letter
-      // that also appears in grey list
-      for (const letter of uniqueGreyLetters) {
-        if (confirmedLetters.has(letter)) {
-          const confirmedCount = letterCounts.get(letter) || 0;
-          const wordCount = word.split("").filter((l) => l === letter).length;
-          if (wordCount > confirmedCount) {
-            return false;
-          }
-        }
-      }
+  /**
+   * Build the letter constraints implied by a guess history
+   * @param {Array} history - Array of { guess, feedback } pairs
+   * @returns {WordConstraints} - Per-letter counts and per-position constraints
+   */
+  getConstraints(history = []) {
+    return WordConstraints.fromHistory(
+      this.wordLength,
+      history.map(({ guess, feedback }) => ({
+        guess: this.normalizeWord(guess) || guess,
+        feedback,
+      }))
+    );
+  }
 
-      return true;
-    });
+  /**
+   * Check a guess against hard-mode rules for a guess history
+   * @param {string} guess - The word to check
+   * @param {Array} history - Array of { guess, feedback } pairs
+   * @returns {string|null} - The rule the guess breaks, or null if it is legal
+   */
+  getHardModeViolation(guess, history = []) {
+    return this.getConstraints(history).getHardModeViolation(guess);
+  }
+
+  /**
+   * Keep only the words that are legal hard-mode guesses
+   * @param {Array} words - Words to filter
+   * @param {Array} history - Array of { guess, feedback } pairs
+   * @returns {Array} - Words that reuse every revealed hint
+   */
+  filterHardModeGuesses(words, history = []) {
+    const constraints = this.getConstraints(history);
+    return words.filter(
+      (word) => constraints.getHardModeViolation(word) === null
+    );
   }
 
   /**
@@ -195,61 +488,237 @@ class WordleSolver {
    * @param {Array} possibleWords - List of possible words
    * @param {Array} usedLetters - Letters that have been guessed already
    * @param {number} numSuggestions - Number of suggestions to return
+   * @param {Array} history - Array of { guess, feedback } pairs, used to keep
+   *   suggestions legal in hard mode
    * @returns {Object} - Object containing solution guesses and information guesses
    */
-  suggestGuesses(possibleWords, usedLetters = [], numSuggestions = 5) {
-    // For the very first guess, return pre-computed suggestions
-    if (usedLetters.length === 0) {
-      return this.getInitialGuesses();
-    }
-
-    if (possibleWords.length === 0) {
-      return { solutionGuesses: [], informationGuesses: [] };
-    }
-
-    // Calculate letter frequency in possible solutions
-    const solutionLetterFreq = this.calculateLetterFrequency(possibleWords);
+  suggestGuesses(
+    possibleWords,
+    usedLetters = [],
+    numSuggestions = 5,
+    history = []
+  ) {
+    const { solutionWords, informationWords } = this.getCandidateGuesses(
+      possibleWords,
+      usedLetters,
+      history
+    );
+    const context = { possibleWords, usedLetters };
+    return {
+      solutionGuesses: this.rankGuesses(
+        solutionWords,
+        context,
+        "solution"
+      ).slice(0, numSuggestions),
+      informationGuesses: this.rankGuesses(
+        informationWords,
+        context,
+        "information"
+      ).slice(0, numSuggestions),
+    };
+  }
 
-    // Score solution guesses
-    const solutionScores = this.scoreWords(
+  /**
+   * Like suggestGuesses, but score the candidates in worker threads so a big
+   * candidate pool (e.g. 7- and 8-letter games) doesn't block the caller
+   * @param {Array} possibleWords - List of possible words
+   * @param {Array} usedLetters - Letters that have been guessed already
+   * @param {number} numSuggestions - Number of suggestions to return
+   * @param {Array} history - Array of { guess, feedback } pairs
+   * @param {Object} options - { workers, timeBudget, onProgress, onUpdate }
+   *   (see suggestGuessesInParallel in parallelScoring.js)
+   * @returns {Promise<Object>} - { solutionGuesses, informationGuesses,
+   *   scored, total, complete }
+   */
+  suggestGuessesParallel(
+    possibleWords,
+    usedLetters = [],
+    numSuggestions = 5,
+    history = [],
+    options = {}
+  ) {
+    return suggestGuessesInParallel(
+      this,
       possibleWords,
       usedLetters,
-      solutionLetterFreq
+      numSuggestions,
+      history,
+      options
     );
+  }
 
-    // Generate information guesses if we have enough possible words
-    let informationScores = [];
-    if (possibleWords.length >= 2) {
-      // Create weights for unknown positions (0 for green positions)
-      const positionWeights = Array(this.wordLength).fill(1);
-      Object.keys(this.getGreenPositions(possibleWords)).forEach((pos) => {
-        positionWeights[parseInt(pos)] = 0;
-      });
+  /**
+   * Pick the words suggestGuesses ranks
+   * @param {Array} possibleWords - List of possible words
+   * @param {Array} usedLetters - Letters that have been guessed already
+   * @param {Array} history - Array of { guess, feedback } pairs
+   * @returns {Object} - { solutionWords, informationWords }
+   */
+  getCandidateGuesses(possibleWords, usedLetters = [], history = []) {
+    if (possibleWords.length === 0) {
+      return { solutionWords: [], informationWords: [] };
+    }
 
-      // Calculate weighted letter frequency for information guesses
-      const infoLetterFreq = this.calculateLetterFrequency(
-        possibleWords,
-        positionWeights
-      );
+    // For the very first guess, only rank the pre-selected openers instead
+    // of the whole dictionary
+    if (usedLetters.length === 0) {
+      const { solutionGuesses, informationGuesses } = this.getInitialGuesses();
+      return {
+        solutionWords: solutionGuesses.map(({ word }) => word),
+        informationWords: informationGuesses.map(({ word }) => word),
+      };
+    }
 
-      // Score information guesses
-      const candidateWords = this.selectInformationGuessCandidates(
+    // Generate information guesses if we have enough possible words
+    let informationWords = [];
+    if (possibleWords.length >= 2) {
+      informationWords = this.selectInformationGuessCandidates(
         possibleWords,
         usedLetters
       );
-      informationScores = this.scoreInformationWords(
-        candidateWords,
-        usedLetters,
-        infoLetterFreq,
-        possibleWords,
-        positionWeights
-      );
+      if (this.hardMode) {
+        informationWords = this.filterHardModeGuesses(
+          informationWords,
+          history
+        );
+      }
     }
 
-    return {
-      solutionGuesses: solutionScores.slice(0, numSuggestions),
-      informationGuesses: informationScores.slice(0, numSuggestions),
+    return { solutionWords: possibleWords, informationWords };
+  }
+
+  /**
+   * Rank guesses with the solver's strategy
+   * @param {Array} words - Words to rank
+   * @param {Object} context - { possibleWords, usedLetters }
+   * @param {string} type - "solution" or "information"
+   * @returns {Array} - Array of { word, score, metric, type }, best first.
+   *   The score is the strategy's metric (e.g. bits for entropy). With a
+   *   frequency table, solution guesses also get the probability of being
+   *   the answer and are ranked by it.
+   */
+  rankGuesses(words, context, type) {
+    const strategy = this.strategy;
+    const strategyContext = {
+      ...context,
+      solver: this,
+      type,
+      priorWeights: this.getPriorWeights(context.possibleWords),
     };
+
+    let ranked;
+    if (strategy.rank) {
+      ranked = strategy.rank(words, strategyContext);
+    } else {
+      // Break ties in favor of words that could be the answer
+      const possible = new Set(context.possibleWords);
+      const direction = strategy.higherIsBetter ? -1 : 1;
+      ranked = words
+        .map((word) => ({
+          word,
+          score: strategy.evaluate(word, strategyContext),
+          possible: possible.has(word),
+        }))
+        .sort(
+          (a, b) =>
+            direction * (a.score - b.score) ||
+            Number(b.possible) - Number(a.possible)
+        );
+    }
+
+    const suggestions = ranked.map(({ word, score }) => ({
+      word,
+      score,
+      metric: strategy.metric,
+      type,
+    }));
+    if (type !== "solution" || !this.hasPriors()) {
+      return suggestions;
+    }
+
+    // With a frequency table, likely answers come first; the (stable) sort
+    // keeps the strategy's order between equally likely words
+    const priors = this.getPriors(context.possibleWords);
+    return suggestions
+      .map((suggestion) => ({
+        ...suggestion,
+        probability: priors.get(suggestion.word) || 0,
+      }))
+      .sort((a, b) => b.probability - a.probability);
+  }
+
+  /**
+   * Format a suggestion's score using the strategy's metric
+   * @param {Object} suggestion - A suggestion from suggestGuesses
+   * @returns {string} - e.g. "3.91 bits" or "worst case: 12 words"
+   */
+  formatScore(suggestion) {
+    return this.strategy.format(suggestion.score);
+  }
+
+  /**
+   * Look several guesses ahead over the strategy's best candidates
+   * @param {Array} possibleWords - List of possible words
+   * @param {Array} history - Array of { guess, feedback } pairs so far
+   * @param {Object|boolean} settings - Search settings (see lookahead.js).
+   *   Defaults to the solver's lookahead option.
+   * @returns {Object} - { guesses, checked, beam, complete, fallback } (see
+   *   LookaheadSearch.search)
+   */
+  searchGuesses(possibleWords, history = [], settings = this.lookahead) {
+    if (this.lies > 0) {
+      throw new Error("Lookahead needs feedback that doesn't lie");
+    }
+    return new LookaheadSearch(this, resolveLookahead(settings || true)).search(
+      possibleWords,
+      history
+    );
+  }
+
+  /**
+   * Pick the single word the solver would play next. Used when the solver
+   * plays a game on its own (e.g. in benchmarks).
+   * @param {Array} possibleWords - List of possible words
+   * @param {Array} history - Array of { guess, feedback } pairs so far
+   * @returns {string} - The word to guess
+   */
+  chooseGuess(possibleWords, history = []) {
+    // With one or two words left, guessing the likelier candidate is never worse
+    if (possibleWords.length <= 2) {
+      const priors = this.getPriors(possibleWords);
+      return possibleWords.reduce((best, word) =>
+        priors.get(word) > priors.get(best) ? word : best
+      );
+    }
+
+    // If the search runs out of time before checking any guess, fall back
+    // to the strategy's pick
+    if (this.lookahead) {
+      const { guesses } = this.searchGuesses(possibleWords, history);
+      if (guesses.length > 0) return guesses[0].word;
+    }
+
+    const { solutionGuesses, informationGuesses } = this.suggestGuesses(
+      possibleWords,
+      this.getUsedLetters(history),
+      1,
+      history
+    );
+    const best = informationGuesses[0] || solutionGuesses[0];
+    return best ? best.word : possibleWords[0];
+  }
+
+  /**
+   * Get every letter that has been guessed so far
+   * @param {Array} history - Array of { guess, feedback } pairs
+   * @returns {Array} - Unique guessed letters
+   */
+  getUsedLetters(history = []) {
+    const usedLetters = new Set();
+    history.forEach(({ guess }) =>
+      guess.split("").forEach((letter) => usedLetters.add(letter))
+    );
+    return Array.from(usedLetters);
   }
 
   /**
@@ -323,7 +792,8 @@ class WordleSolver {
       letters.forEach((letter, pos) => {
         // If this is a known position (green), we don't want to use it for information gathering
         if (greenPositions[pos]) {
-          if (letter === greenPositions[pos]) {
+          // Hard mode forces revealed greens to be reused, so don't penalize them
+          if (letter === greenPositions[pos] && !this.hardMode) {
             score -= 50; // Heavy penalty for using known letters in known positions
           }
           return;
@@ -350,10 +820,6 @@ class WordleSolver {
       const uniqueLetters = new Set(letters);
       score += uniqueLetters.size * 20;
 
-      // Calculate partition score (how well this guess splits remaining possibilities)
-      const partitionScore = this.calculatePartitionScore(word, possibleWords);
-      score += partitionScore * 50;
-
       return { word, score, type: "information" };
     });
 
@@ -369,23 +835,21 @@ class WordleSolver {
    * Calculate how well a guess would partition the remaining possibilities
    * Returns a score based on how evenly it splits the possible solutions
    * into different feedback patterns
+   * @param {Array} priorWeights - Optional prior weight of each possible
+   *   word (see getPriorWeights); words are equally likely without them
    */
-  calculatePartitionScore(guess, possibleWords) {
-    const patterns = new Map(); // Map of feedback pattern -> count
-
-    // For each possible solution, calculate what feedback we'd get if we guessed this word
-    for (const solution of possibleWords) {
-      const feedback = this.simulateFeedback(guess, solution);
-      patterns.set(feedback, (patterns.get(feedback) || 0) + 1);
-    }
+  calculatePartitionScore(guess, possibleWords, priorWeights = null) {
+    const patterns = this.getPartition(guess, possibleWords, priorWeights);
 
     // Calculate entropy-based score
     // Perfect partition would split possibilities into equal groups
-    const totalWords = possibleWords.length;
+    const totalWeight = priorWeights
+      ? priorWeights.reduce((sum, weight) => sum + weight, 0)
+      : possibleWords.length;
     let score = 0;
 
-    for (const count of patterns.values()) {
-      const probability = count / totalWords;
+    for (const weight of patterns.values()) {
+      const probability = weight / totalWeight;
       // Use information theory: -p * log2(p) for each partition
       score -= probability * Math.log2(probability);
     }
@@ -393,6 +857,108 @@ class WordleSolver {
     return score;
   }
 
+  /**
+   * Split the possible words into buckets by the feedback a guess would get
+   * @param {string} guess - The word to guess
+   * @param {Array} possibleWords - Possible answers
+   * @param {Array} weights - Optional weight of each word to sum instead of
+   *   counting words
+   * @returns {Map} - Map of feedback pattern code -> number of words (see
+   *   decodePattern in patternMatrix.js to turn a code back into "GYX" form).
+   *   For counts-only feedback the keys are the model's feedback strings.
+   */
+  getPartition(guess, possibleWords, weights = null) {
+    const partition = this.getPatternMatrix().partition(
+      guess,
+      possibleWords,
+      weights
+    );
+    if (!this.isCountsOnly()) {
+      return partition;
+    }
+
+    // Tile patterns with the same counts give the same feedback
+    const counts = new Map();
+    for (const [code, weight] of partition) {
+      const feedback = countFeedback(this.feedbackModel, code, this.wordLength);
+      counts.set(feedback, (counts.get(feedback) || 0) + weight);
+    }
+    return counts;
+  }
+
+  /**
+   * Group the possible words by the feedback a guess would get against them
+   * @param {string} guess - The word to guess
+   * @param {Array} possibleWords - Possible answers
+   * @returns {Map} - Map of feedback -> words, keyed like getPartition
+   */
+  groupByFeedback(guess, possibleWords) {
+    const patterns = this.getPatternMatrix().getPatterns(guess, possibleWords);
+    const groups = new Map();
+    possibleWords.forEach((word, i) => {
+      const key = this.isCountsOnly()
+        ? countFeedback(this.feedbackModel, patterns[i], this.wordLength)
+        : patterns[i];
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(word);
+    });
+    return groups;
+  }
+
+  /**
+   * Explain what a guess would reveal: the feedback it would get for each
+   * possible answer, and how many words would be left afterwards. Chances
+   * use the word prior when the solver has a frequency table.
+   * @param {string} guess - The word to explain
+   * @param {Array} possibleWords - Possible answers
+   * @returns {Object} - { word, canBeAnswer, probability, buckets,
+   *   expectedRemaining, worstCase, entropy }, where buckets holds
+   *   { feedback, words, probability } for each feedback, largest first
+   */
+  explainGuess(guess, possibleWords) {
+    const word = this.normalizeWord(guess) || guess.toLowerCase();
+    const priors = this.getPriors(possibleWords);
+
+    const groups = new Map();
+    possibleWords.forEach((answer) => {
+      const feedback = this.getFeedback(word, answer);
+      if (!groups.has(feedback)) {
+        groups.set(feedback, []);
+      }
+      groups.get(feedback).push(answer);
+    });
+
+    const buckets = [...groups]
+      .map(([feedback, words]) => ({
+        feedback,
+        words,
+        probability: words.reduce((sum, answer) => sum + priors.get(answer), 0),
+      }))
+      .sort(
+        (a, b) =>
+          b.words.length - a.words.length ||
+          b.probability - a.probability ||
+          a.feedback.localeCompare(b.feedback)
+      );
+
+    let expectedRemaining = 0;
+    let entropy = 0;
+    buckets.forEach(({ words, probability }) => {
+      expectedRemaining += probability * words.length;
+      entropy -= probability * Math.log2(probability);
+    });
+
+    return {
+      word,
+      canBeAnswer: priors.has(word),
+      probability: priors.get(word) || 0,
+      buckets,
+      expectedRemaining,
+      worstCase: buckets.length > 0 ? buckets[0].words.length : 0,
+      entropy,
+    };
+  }
+
   /**
    * Simulate what feedback we'd get if we guessed 'guess' and the answer was 'solution'
    * Returns a string representing the feedback pattern (e.g., "GYYXX")
@@ -540,12 +1106,42 @@ class WordleSolver {
     return commonLetters;
   }
 
+  /**
+   * Load the answer and guess lists named by the solver options
+   * @param {Object} options - Solver options (answers, guesses and locale)
+   * @returns {Object} - { answerLists, guessLists }, each grouped by length
+   */
+  static loadDictionaries(options = {}) {
+    const locale = getLocale(options.locale);
+    const answerLists = resolveWordLists(options.answers, locale);
+    const guessLists = resolveWordLists(options.guesses, locale);
+
+    // Answers fall back to the guess list, so the locale's own list is only
+    // needed when no guess list was given
+    let defaultLists = null;
+    if (!guessLists) {
+      if (locale.dictionary && !fs.existsSync(locale.dictionary)) {
+        throw new Error(
+          `No ${locale.name} word list found. Save one (one word per line) as ${locale.dictionary}, or pass a word list file with --guesses`
+        );
+      }
+      defaultLists = loadWordLists(locale.dictionary || undefined, locale);
+    }
+
+    return {
+      answerLists: answerLists || guessLists || defaultLists,
+      guessLists: guessLists || defaultLists,
+    };
+  }
+
   /**
    * Get available word lengths in the dictionary
-   * @returns {Array} - Array of available word lengths
+   * @param {Object} options - Solver options naming custom word lists
+   * @returns {Array} - Array of word lengths that have possible answers
    */
-  static getAvailableWordLengths() {
-    return Array.from(wordLists.keys()).sort((a, b) => a - b);
+  static getAvailableWordLengths(options = {}) {
+    const { answerLists } = WordleSolver.loadDictionaries(options);
+    return Array.from(answerLists.keys()).sort((a, b) => a - b);
   }
 }
 